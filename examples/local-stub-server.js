@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Local Stub Vision Server Example
+ * A tiny stand-in for Ollama or an OpenAI-compatible server, for trying the `local`
+ * provider offline without downloading a model
+ */
+
+const http = require('http');
+
+const DEFAULT_PORT = 11434;
+
+/**
+ * Build a canned answer describing what the server received
+ * @param {string} prompt - Prompt text from the request
+ * @param {number} imageCount - Number of images in the request
+ * @returns {string} - Answer text
+ */
+function buildAnswer(prompt, imageCount) {
+  return `[stub] Received ${imageCount} image(s) with prompt: "${prompt}"`;
+}
+
+/**
+ * Create the stub server
+ * @returns {http.Server} - HTTP server handling /api/chat and /v1/chat/completions
+ */
+function createStubServer() {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      let request;
+      try {
+        request = JSON.parse(body || '{}');
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+        return;
+      }
+
+      const message = (request.messages || [])[0] || {};
+      console.error(`📥 ${req.method} ${req.url} (model: ${request.model})`);
+
+      if (req.method === 'POST' && req.url === '/api/chat') {
+        // Ollama format: prompt in content, base64 images in a separate array
+        const answer = buildAnswer(message.content, (message.images || []).length);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ model: request.model, message: { role: 'assistant', content: answer }, done: true }));
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+        // OpenAI format: content array with text and image_url parts
+        const parts = Array.isArray(message.content) ? message.content : [];
+        const text = parts.filter(part => part.type === 'text').map(part => part.text).join(' ');
+        const answer = buildAnswer(text, parts.filter(part => part.type === 'image_url').length);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ model: request.model, choices: [{ index: 0, message: { role: 'assistant', content: answer } }] }));
+        return;
+      }
+
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Not found: ${req.url}` }));
+    });
+  });
+}
+
+/**
+ * Show usage instructions
+ */
+function showUsage() {
+  console.log(`
+📖 GLM Image MCP Server - Local Stub Server
+
+Starts a fake local vision server so the "local" provider can be tried offline.
+
+🚀 Run:
+node examples/local-stub-server.js [port]      # default port ${DEFAULT_PORT}
+
+🔧 Point the MCP server at it:
+export LOCAL_VISION_BASE_URL="http://localhost:${DEFAULT_PORT}"      # Ollama format
+export LOCAL_VISION_BASE_URL="http://localhost:${DEFAULT_PORT}/v1"   # OpenAI-compatible format
+`);
+}
+
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+  showUsage();
+  process.exit(0);
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+  createStubServer().listen(port, () => {
+    console.error(`🧪 Local stub vision server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createStubServer,
+  buildAnswer
+};
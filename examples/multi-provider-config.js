@@ -116,6 +116,32 @@ const providerConfigs = {
       apiKeyUrl: "https://aistudio.google.com/app/apikey",
       envVar: "GEMINI_API_KEY"
     }
+  },
+
+  openai: {
+    name: "OpenAI",
+    description: "Direct access to GPT vision models",
+    models: {
+      default: "gpt-4o",
+      fast: "gpt-4o-mini"
+    },
+    setup: {
+      apiKeyUrl: "https://platform.openai.com/api-keys",
+      envVar: "OPENAI_API_KEY"
+    }
+  },
+
+  anthropic: {
+    name: "Anthropic",
+    description: "Direct access to Claude vision models",
+    models: {
+      default: "claude-sonnet-4-5",
+      fast: "claude-haiku-4-5"
+    },
+    setup: {
+      apiKeyUrl: "https://console.anthropic.com/settings/keys",
+      envVar: "ANTHROPIC_API_KEY"
+    }
   }
 };
 
@@ -169,14 +195,19 @@ function showSetupInstructions() {
 1️⃣  Choose Your Providers:
    • OpenRouter: Multiple models, including free options
    • Google Gemini: Fast, reliable vision models
+   • OpenAI / Anthropic: Direct access without routing through OpenRouter
 
 2️⃣  Get API Keys:
    • OpenRouter: https://openrouter.ai/keys
    • Google Gemini: https://aistudio.google.com/app/apikey
+   • OpenAI: https://platform.openai.com/api-keys
+   • Anthropic: https://console.anthropic.com/settings/keys
 
 3️⃣  Set Environment Variables:
    export OPENROUTER_API_KEY="your-openrouter-key"
    export GEMINI_API_KEY="your-gemini-key"
+   export OPENAI_API_KEY="your-openai-key"
+   export ANTHROPIC_API_KEY="your-anthropic-key"
 
 4️⃣  Configure MCP Client:
    Choose your client type and generate configuration:
@@ -223,6 +254,16 @@ function validateSetup() {
       check: () => !!process.env.GEMINI_API_KEY,
       message: 'Set GEMINI_API_KEY environment variable'
     },
+    {
+      name: 'OpenAI API Key',
+      check: () => !!process.env.OPENAI_API_KEY,
+      message: 'Set OPENAI_API_KEY environment variable'
+    },
+    {
+      name: 'Anthropic API Key',
+      check: () => !!process.env.ANTHROPIC_API_KEY,
+      message: 'Set ANTHROPIC_API_KEY environment variable'
+    },
     {
       name: 'MCP Server File',
       check: () => fs.existsSync('../glm-image-mcp.js'),
@@ -5,6 +5,13 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  RootsListChangedNotificationSchema,
+  McpError,
+  ErrorCode,
 } = require('@modelcontextprotocol/sdk/types.js');
 const fetch = require('node-fetch');
 const fs = require('fs');
@@ -12,6 +19,28 @@ const path = require('path');
 
 // Import modules
 const ValidationUtils = require('./utils/validation');
+const ImageProcessor = require('./utils/image-processor');
+const ImageSourceLoader = require('./utils/image-source');
+const PathSandbox = require('./utils/path-sandbox');
+const ImageDiff = require('./utils/image-diff');
+const StructuredOutput = require('./utils/structured-output');
+const TextExtractor = require('./utils/text-extraction');
+const ObjectDetector = require('./utils/object-detection');
+const ImageBatch = require('./utils/batch');
+const CommandLine = require('./utils/cli');
+const PresetCatalog = require('./utils/presets');
+const PromptLibrary = require('./utils/prompts');
+const AnalysisStore = require('./utils/analysis-store');
+const RetryPolicy = require('./utils/retry');
+const ProgressReporter = require('./utils/progress');
+const { readEvents } = require('./utils/sse');
+const ResponseCache = require('./utils/response-cache');
+const UsageTracker = require('./utils/usage-tracker');
+const Guardrails = require('./utils/guardrails');
+const ProviderRateLimiter = require('./utils/rate-limiter');
+const ProviderRegistry = require('./providers/registry');
+const { ErrorCodes, ToolError } = require('./utils/errors');
+const { loadConfig } = require('./utils/config');
 
 const server = new Server(
   {
@@ -21,395 +50,1675 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      prompts: {},
+      resources: { listChanged: true },
     },
   }
 );
 
+// Load the configuration file and register built-in and third-party providers
+let appConfig;
+let pathSandbox;
+let guardrails;
+let providerRateLimiter;
+let responseCache;
+const providerRegistry = new ProviderRegistry()
+  .register(require('./providers/gemini'))
+  .register(require('./providers/openrouter'))
+  .register(require('./providers/openai'))
+  .register(require('./providers/anthropic'))
+  .register(require('./providers/local'));
+
+try {
+  appConfig = loadConfig();
+  if (appConfig.config.providers) {
+    providerRegistry.loadAdapters(appConfig.config.providers, appConfig.baseDir);
+  }
+  pathSandbox = new PathSandbox({ roots: appConfig.config.roots, baseDir: appConfig.baseDir });
+  // Spending limits and per-provider rate limits share the "limits" section
+  const limits = appConfig.config.limits || {};
+  guardrails = new Guardrails(limits, appConfig.baseDir);
+  providerRateLimiter = new ProviderRateLimiter(limits.providers);
+  responseCache = new ResponseCache();
+} catch (error) {
+  console.error(`Failed to load configuration: ${error.message}`);
+  process.exit(1);
+}
+
 // Initialize utilities
-const validator = new ValidationUtils();
+const validator = new ValidationUtils({ providers: providerRegistry.names(), sandbox: pathSandbox });
+const imageProcessor = new ImageProcessor();
+const imageSourceLoader = new ImageSourceLoader(validator);
+const imageDiff = new ImageDiff(imageProcessor);
+const structuredOutput = new StructuredOutput(validator);
+const textExtractor = new TextExtractor(imageProcessor);
+const objectDetector = new ObjectDetector(imageProcessor);
+const imageBatch = new ImageBatch(validator);
+const presetCatalog = new PresetCatalog(validator);
+const usageTracker = new UsageTracker();
+
+// Custom analysis presets and model prices from the configuration file extend or replace the built-in ones
+try {
+  if (appConfig.config.presets) {
+    presetCatalog.loadPresets(appConfig.config.presets);
+  }
+  if (appConfig.config.prices) {
+    usageTracker.loadPrices(appConfig.config.prices);
+  }
+} catch (error) {
+  console.error(`Failed to load configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Reusable prompts for the MCP prompts capability (workflows plus one per preset)
+const promptLibrary = new PromptLibrary(presetCatalog);
+const retryPolicy = new RetryPolicy();
+const analysisStore = new AnalysisStore();
+
+// JSON-RPC code for an unknown resource URI, from the MCP specification
+const RESOURCE_NOT_FOUND = -32002;
+
+// Shared schemas for the `provider` and `timeout_ms` arguments of every tool
+const providerSchema = {
+  type: 'string',
+  description: `AI provider to use (${providerRegistry.names().join(', ')}). If not specified, will auto-detect based on available API keys`,
+  enum: providerRegistry.names(),
+};
+
+const timeoutSchema = {
+  type: 'integer',
+  description: 'Timeout in milliseconds for each provider request (optional - overrides REQUEST_TIMEOUT_MS and <PROVIDER>_TIMEOUT_MS)',
+  minimum: 1000,
+  maximum: 600000,
+};
+
+const imagePathSchema = {
+  type: 'string',
+  description: 'Path to the image file (give exactly one of image_path, image_url or image_base64)',
+};
+
+const imageUrlSchema = {
+  type: 'string',
+  description: 'http(s) URL to download the image from instead of image_path',
+};
+
+const imageBase64Schema = {
+  type: 'string',
+  description: 'Base64 image data instead of image_path, raw or as a data URI (data:image/png;base64,...)',
+};
+
+const noCacheSchema = {
+  type: 'boolean',
+  description: 'Skip the response cache and ask the provider again; the fresh answer replaces the cached one (optional, default false)',
+};
+
+const DEFAULT_DESCRIBE_PROMPT = 'Describe this image in detail, including the main subjects, setting, colors, any visible text and notable details.';
+
+const DEFAULT_DIFF_PROMPT = 'The "diff overlay" shows the "before" image faded to grey, with changed pixels in red and yellow boxes around each changed region. Explain what changed between "before" and "after", region by region, and whether the changes look intentional or like a visual regression.';
 
 /**
- * Detect available providers based on API keys
- * @returns {string} - The first available provider ('gemini', 'openrouter', or throws error)
+ * Read the configured failover chain, from the configuration file's "failover" array
+ * or PROVIDER_FAILOVER (e.g. "gemini,openrouter:x-ai/grok-4-fast:free,openrouter:anthropic/claude-3-sonnet")
+ * @returns {Object[]|null} - Entries as { provider, model }, or null if no chain is configured
+ * @throws {ToolError} - CONFIGURATION_ERROR if the chain is malformed
  */
-function detectAvailableProvider() {
-  // Check for Gemini API key first
-  if (process.env.GEMINI_API_KEY) {
-    console.error('Detected Gemini API key, using Gemini provider');
-    return 'gemini';
+function getFailoverEntries() {
+  if (appConfig.config.failover) {
+    const entries = appConfig.config.failover;
+    if (!Array.isArray(entries) || !entries.every(entry => entry && typeof entry.provider === 'string')) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'failover must be an array of { provider, model } objects in the configuration file');
+    }
+    return entries.map(entry => ({ provider: entry.provider, model: entry.model || null }));
   }
-  
-  // Check for OpenRouter API key
-  if (process.env.OPENROUTER_API_KEY) {
-    console.error('Detected OpenRouter API key, using OpenRouter provider');
-    return 'openrouter';
+
+  if (process.env.PROVIDER_FAILOVER) {
+    return process.env.PROVIDER_FAILOVER
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        // Split on the first colon only; model names such as "x-ai/grok-4-fast:free" contain colons
+        const separator = entry.indexOf(':');
+        return separator === -1
+          ? { provider: entry, model: null }
+          : { provider: entry.slice(0, separator), model: entry.slice(separator + 1) };
+      });
   }
-  
-  // No API keys found
-  throw new Error('No API keys found. Please set either GEMINI_API_KEY or OPENROUTER_API_KEY environment variable');
+
+  return null;
+}
+
+/**
+ * Build the ordered list of provider configurations to try for a call.
+ * An explicit provider goes first; without a configured failover chain an explicit
+ * provider is used alone, and auto-detection falls back through every available provider.
+ * @param {string} [provider] - Provider requested by the caller
+ * @param {string} [model] - Model requested by the caller
+ * @param {Object} [preferredModels] - Model per provider name for entries without a model (e.g. from a preset);
+ *   a <PROVIDER>_MODEL variable takes precedence over it
+ * @returns {Object[]} - Provider configurations (see ProviderRegistry#resolveConfig)
+ * @throws {ToolError} - If no entry in the chain can be configured
+ */
+function getProviderChain(provider, model, preferredModels = {}) {
+  const failover = getFailoverEntries();
+  let entries;
+
+  if (failover) {
+    entries = provider ? [{ provider, model }, ...failover] : failover;
+    if (!provider && model && entries.length > 0) {
+      entries = [{ ...entries[0], model }, ...entries.slice(1)];
+    }
+  } else if (provider) {
+    entries = [{ provider, model }];
+  } else {
+    entries = providerRegistry.available().map((name, index) => ({ provider: name, model: index === 0 ? model : null }));
+  }
+
+  if (entries.length === 0) {
+    // Throws MISSING_API_KEY with the list of variables to set
+    providerRegistry.detect();
+  }
+
+  const chain = [];
+  const seen = new Set();
+  let firstError = null;
+
+  for (const entry of entries) {
+    let config;
+    try {
+      config = providerRegistry.resolveConfig(entry.provider, entry.model || null, preferredModels[entry.provider] || null);
+    } catch (error) {
+      // Providers without credentials are skipped so the chain can continue
+      firstError = firstError || error;
+      continue;
+    }
+
+    const key = `${config.provider}:${config.model}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      chain.push(config);
+    }
+  }
+
+  if (chain.length === 0) {
+    throw firstError;
+  }
+  return chain;
 }
 
 /**
- * Get API configuration based on provider
- * @param {string} provider - Provider name ('openrouter' or 'gemini'). If null, will auto-detect
- * @returns {Object} - API configuration
+ * Preprocess an image for upload: optional region crop, then downscaling to the
+ * provider's max dimension and re-encoding
+ * @param {string} imagePath - Path to the image file, or the name of an image held in memory
+ * @param {Object} config - Provider configuration (see ProviderRegistry#resolveConfig)
+ * @param {Object} [options] - Optional { region, zoom } crop settings, and { buffer } for an image already loaded
+ * @returns {Promise<Object>} - { base64Image, imageType, metadata }
+ * @throws {Error} - If the image is invalid or cannot be processed
  */
-function getAPIConfig(provider, model = null) {
-  // Auto-detect provider if not specified
-  if (!provider) {
-    provider = detectAvailableProvider();
-  }
-  switch (provider) {
-    case 'gemini':
-      const geminiApiKey = process.env.GEMINI_API_KEY;
-      const geminiModel = model || process.env.GEMINI_MODEL || 'gemini-2.5-pro';
-      
-      if (!geminiApiKey) {
-        throw new Error('GEMINI_API_KEY environment variable is required for Gemini provider');
+async function prepareImage(imagePath, config, options = {}) {
+  const { buffer: imageBuffer, format: sourceFormat } = options.buffer
+    ? { buffer: options.buffer, format: validator.validateImageBuffer(options.buffer) }
+    : imageSourceLoader.readFile(imagePath);
+
+  let sourceBuffer = imageBuffer;
+  let cropped = null;
+  let prepared;
+
+  try {
+    // Crop (and upscale) the requested region so the provider only sees that area
+    if (options.region !== undefined) {
+      cropped = await imageProcessor.cropRegion(imageBuffer, options.region, options.zoom);
+      sourceBuffer = cropped.buffer;
+    }
+
+    prepared = await imageProcessor.prepareForUpload(sourceBuffer, {
+      maxDimension: config.maxImageDimension,
+      sourceFormat: cropped ? 'png' : sourceFormat,
+      acceptedFormats: config.acceptedImageFormats,
+    });
+  } catch (error) {
+    if (error instanceof ToolError) {
+      throw error;
+    }
+    // sharp failures mean the file could not be decoded
+    throw new ToolError(ErrorCodes.INVALID_IMAGE, `Failed to process image: ${error.message}`, { path: imagePath });
+  }
+
+  const metadata = { ...prepared.metadata, originalBytes: imageBuffer.length };
+  if (cropped) {
+    metadata.originalWidth = cropped.sourceWidth;
+    metadata.originalHeight = cropped.sourceHeight;
+    metadata.region = cropped.region;
+    metadata.zoom = cropped.zoom;
+  }
+
+  return {
+    base64Image: prepared.buffer.toString('base64'),
+    imageType: prepared.mimeType,
+    metadata,
+  };
+}
+
+/**
+ * Call the configured provider's vision API
+ * @param {Object} config - Provider configuration (see ProviderRegistry#resolveConfig)
+ * @param {string} prompt - Analysis prompt
+ * @param {Object[]} images - Images as { base64, mimeType }
+ * @param {Object} [options] - { signal, timeoutMs, outputSchema, progress }: cancellation signal, per-call timeout override,
+ *   the JSON Schema for structured output and the ProgressReporter; replies are streamed when progress is reported
+ * @returns {Promise<Object>} - { text, usage } where usage is the call's entry from UsageTracker#record
+ * @throws {ToolError} - PROVIDER_ERROR, TIMEOUT, CANCELLED, BUDGET_EXCEEDED or RATE_LIMITED
+ */
+async function callProvider(config, prompt, images, options = {}) {
+  const adapter = providerRegistry.get(config.provider);
+  const progress = options.progress;
+  // Every request counts against the rate limit, so multi-request tools (tiled OCR, batches, retries)
+  // stop as soon as a budget or the request rate is spent
+  guardrails.beginRequest();
+  const waitedMs = await providerRateLimiter.acquire(config.provider, options.signal);
+  if (waitedMs > 0) {
+    console.error(`${config.provider} rate limit: waited ${waitedMs}ms`);
+  }
+
+  // Streaming only pays off when someone is watching; the final text is the same either way
+  const stream = Boolean(progress && progress.enabled && config.capabilities.streaming);
+  const request = adapter.buildRequest(prompt, images, config, { outputSchema: options.outputSchema, stream });
+  const timeoutMs = options.timeoutMs || config.timeoutMs;
+
+  // One controller aborts the HTTP request on either the timeout or client cancellation
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onCancel = () => controller.abort();
+  if (options.signal) {
+    if (options.signal.aborted) {
+      controller.abort();
+    }
+    options.signal.addEventListener('abort', onCancel, { once: true });
+  }
+
+  try {
+    if (progress) {
+      progress.stage('uploading', `${adapter.displayName} (${config.model})`);
+    }
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
       }
-      
-      return {
-        apiKey: geminiApiKey,
-        model: geminiModel,
-        provider: 'gemini'
-      };
-      
-    case 'openrouter':
-    default:
-      const openRouterApiKey = process.env.OPENROUTER_API_KEY;
-      const openRouterModel = model || process.env.OPENROUTER_MODEL || 'x-ai/grok-4-fast:free';
-      
-      if (!openRouterApiKey) {
-        throw new Error('OPENROUTER_API_KEY environment variable is required for OpenRouter provider');
+      throw new ToolError(ErrorCodes.PROVIDER_ERROR, `${adapter.displayName} request failed: ${error.message}`, { provider: adapter.name, network: true });
+    }
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new ToolError(ErrorCodes.PROVIDER_ERROR, `${adapter.displayName} API error: ${response.statusText} - ${errorText}`, {
+        provider: adapter.name,
+        status: response.status,
+        retryAfterMs: retryPolicy.parseRetryAfter(response.headers.get('retry-after')),
+      });
+    }
+    
+    let text;
+    let tokens = null;
+    if (stream) {
+      progress.stage('generating', `${adapter.displayName} (${config.model})`);
+      ({ text, tokens } = await readStreamedText(adapter, response, config, progress));
+    } else {
+      const result = await response.json();
+      text = adapter.parseResponse(result, config);
+      if (typeof adapter.parseUsage === 'function') {
+        tokens = adapter.parseUsage(result, config);
       }
-      
-      return {
-        apiKey: openRouterApiKey,
-        model: openRouterModel,
-        provider: 'openrouter'
-      };
+    }
+    const usage = usageTracker.record(config, tokens, Date.now() - startedAt);
+    guardrails.recordUsage(usage);
+    return { text, usage };
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      throw error;
+    }
+    if (timedOut) {
+      throw new ToolError(ErrorCodes.TIMEOUT, `${adapter.displayName} did not respond within ${timeoutMs}ms`, { provider: adapter.name, timeoutMs });
+    }
+    throw new ToolError(ErrorCodes.CANCELLED, 'Request was cancelled by the client', { provider: adapter.name });
+  } finally {
+    clearTimeout(timer);
+    if (options.signal) {
+      options.signal.removeEventListener('abort', onCancel);
+    }
   }
 }
 
 /**
- * Call OpenRouter vision API
- * @param {string} base64Image - Base64 encoded image
- * @param {string} imageType - Image MIME type
- * @param {string} prompt - Analysis prompt
- * @param {Object} config - API configuration
- * @returns {Promise<string>} - API response
+ * Read a streamed (server-sent events) reply, relaying the text generated so far as progress
+ * @param {Object} adapter - Provider adapter with parseStreamEvent
+ * @param {Object} response - Successful fetch response
+ * @param {Object} config - Provider configuration
+ * @param {ProgressReporter} progress - Progress reporter
+ * @returns {Promise<Object>} - { text, tokens }: the complete reply and the last token counts reported, if any
+ * @throws {ToolError} - PROVIDER_ERROR if the stream fails or carries no text; AbortError is passed through
  */
-async function callOpenRouterAPI(base64Image, imageType, prompt, config) {
-  const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${config.apiKey}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': 'https://kilocode.ai',
-      'X-Title': 'Kilo Code Enhanced MCP Server',
-    },
-    body: JSON.stringify({
-      model: config.model,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: prompt,
-            },
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:${imageType};base64,${base64Image}`,
-              },
-            },
-          ],
-        },
-      ],
-    }),
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenRouter API error: ${response.statusText} - ${errorText}`);
+async function readStreamedText(adapter, response, config, progress) {
+  let text = '';
+  let tokens = null;
+  try {
+    for await (const data of readEvents(response.body)) {
+      // OpenAI-style streams end with [DONE]; other non-JSON payloads are keep-alives
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        continue;
+      }
+      const delta = adapter.parseStreamEvent(event, config);
+      if (delta) {
+        text += delta;
+        progress.partial(text);
+      }
+      const eventTokens = typeof adapter.parseUsage === 'function' ? adapter.parseUsage(event, config) : null;
+      if (eventTokens) {
+        tokens = eventTokens;
+      }
+    }
+  } catch (error) {
+    if (error instanceof ToolError || error.name === 'AbortError') {
+      throw error;
+    }
+    throw new ToolError(ErrorCodes.PROVIDER_ERROR, `${adapter.displayName} stream failed: ${error.message}`, { provider: adapter.name, network: true });
   }
-  
-  const result = await response.json();
-  return result.choices[0].message.content;
+
+  if (!text) {
+    throw new ToolError(ErrorCodes.PROVIDER_ERROR, `No response generated by ${adapter.displayName}`, { provider: adapter.name });
+  }
+  return { text, tokens };
 }
 
 /**
- * Call Google Gemini vision API
- * @param {string} base64Image - Base64 encoded image
- * @param {string} imageType - Image MIME type
+ * Analyze images with the provider chain: each provider is retried with backoff,
+ * then the next one in the chain is tried until one answers
+ * @param {Object[]} images - Images as { path, region, zoom, label }, or { buffer, label } for generated images
  * @param {string} prompt - Analysis prompt
- * @param {Object} config - API configuration
- * @returns {Promise<string>} - API response
+ * @param {Object} [options] - { provider, model, preferredModels, timeoutMs, signal, outputSchema, noCache, progress } requested by the caller;
+ *   successful results are also pushed to options.analyses when it is an array
+ * @returns {Promise<Object>} - { text, prompt, config, metadata, attempts, cache, usage } where cache is { hit, storedAt }
+ *   and usage is { inputTokens, outputTokens, cost, latencyMs }
+ * @throws {ToolError} - The last provider error if every provider failed, or CANCELLED
  */
-async function callGeminiAPI(base64Image, imageType, prompt, config) {
-  const requestBody = {
-    contents: [
-      {
-        parts: [
-          {
-            text: prompt
+async function analyzeImages(images, prompt, options = {}) {
+  let chain = getProviderChain(options.provider, options.model, options.preferredModels);
+  if (images.length > 1) {
+    chain = chain.filter(config => config.capabilities.multipleImages);
+    if (chain.length === 0) {
+      throw new ToolError(ErrorCodes.INVALID_PROVIDER, 'None of the configured providers accept multiple images in one request', { images: images.length });
+    }
+  }
+  const prepared = new Map();
+  const attempts = [];
+  let lastError;
+
+  for (const config of chain) {
+    // Images only need preprocessing again when the provider's limits differ
+    const preprocessKey = `${config.maxImageDimension}:${config.acceptedImageFormats.join(',')}`;
+    if (!prepared.has(preprocessKey)) {
+      if (options.progress) {
+        options.progress.stage('preprocessing', `${images.length} image${images.length === 1 ? '' : 's'} for ${config.provider}`);
+      }
+      const results = [];
+      for (const image of images) {
+        results.push(await prepareImage(image.path, config, image));
+      }
+      prepared.set(preprocessKey, results);
+    }
+    const preparedImages = prepared.get(preprocessKey);
+    const requestImages = preparedImages.map(image => ({ base64: image.base64Image, mimeType: image.imageType }));
+
+    // The key covers the bytes actually sent, so crops and provider-specific resizing get their own entries
+    const cacheKey = responseCache.enabled ? responseCache.key(config, prompt, requestImages, options.outputSchema) : null;
+    const cached = cacheKey && !options.noCache ? responseCache.get(cacheKey) : null;
+    let text;
+    let cache;
+    let usage;
+
+    if (cached) {
+      text = cached.value.text;
+      cache = { hit: true, storedAt: cached.storedAt };
+      usage = usageTracker.recordCacheHit(config);
+      attempts.push({ provider: config.provider, model: config.model, ok: true, cached: true });
+    } else {
+      try {
+        ({ text, usage } = await retryPolicy.execute(
+          () => callProvider(
+            config,
+            prompt,
+            requestImages,
+            { signal: options.signal, timeoutMs: options.timeoutMs, outputSchema: options.outputSchema, progress: options.progress }
+          ),
+          (error, attempt, delayMs) => {
+            attempts.push({ provider: config.provider, model: config.model, error: error.message, status: error.details.status });
+            usageTracker.recordFailure(config);
+            console.error(`${config.provider} attempt ${attempt} failed, retrying in ${delayMs}ms: ${error.message}`);
           },
-          {
-            inline_data: {
-              mime_type: imageType,
-              data: base64Image
-            }
-          }
-        ]
+          options.signal
+        ));
+      } catch (error) {
+        // Timeouts fail over to the next provider; cancellation and local errors end the call
+        if (!(error instanceof ToolError) || ![ErrorCodes.PROVIDER_ERROR, ErrorCodes.TIMEOUT].includes(error.code)) {
+          throw error;
+        }
+        attempts.push({ provider: config.provider, model: config.model, error: error.message, status: error.details && error.details.status });
+        usageTracker.recordFailure(config);
+        lastError = error;
+        console.error(`${config.provider} (${config.model}) failed: ${error.message}`);
+        continue;
       }
-    ]
+      attempts.push({ provider: config.provider, model: config.model, ok: true, latencyMs: usage.latencyMs });
+      if (cacheKey) {
+        responseCache.set(cacheKey, { text });
+      }
+      cache = { hit: false };
+    }
+
+    const result = {
+      text,
+      prompt,
+      config,
+      metadata: preparedImages.map((image, index) => (images[index].label ? { label: images[index].label, ...image.metadata } : image.metadata)),
+      attempts,
+      cache,
+      usage,
+    };
+    if (options.analyses) {
+      options.analyses.push(result);
+    }
+    return result;
+  }
+
+  if (chain.length > 1) {
+    throw new ToolError(lastError.code, `All providers failed. Last error: ${lastError.message}`, { attempts });
+  }
+  throw lastError;
+}
+
+/**
+ * Turn an analysis reply into JSON conforming to the caller's schema. A reply that cannot
+ * be repaired locally is sent back to the same provider once with the problems listed.
+ * @param {Object} result - Result of analyzeImages; the repair call's usage is added to result.usage
+ * @param {Object} schema - JSON Schema sent to the provider
+ * @param {Object} [options] - { signal, timeoutMs, replySchema }: replySchema is a looser schema the reply
+ *   is checked against instead, for tools that drop malformed items themselves
+ * @returns {Promise<Object>} - { value, repaired }
+ * @throws {ToolError} - INVALID_OUTPUT if the reply still does not conform
+ */
+async function parseStructuredOutput(result, schema, options = {}) {
+  const replySchema = options.replySchema || schema;
+  let parsed = structuredOutput.parse(result.text, replySchema);
+  if (parsed.errors.length === 0) {
+    return { value: parsed.value, repaired: false };
+  }
+
+  console.error(`Structured output did not conform, asking ${result.config.provider} to repair it: ${parsed.errors.join('; ')}`);
+  const repair = await retryPolicy.execute(
+    () => callProvider(result.config, structuredOutput.buildRepairPrompt(result.text, parsed.errors, schema), [], { ...options, outputSchema: schema }),
+    null,
+    options.signal
+  );
+  result.usage = usageTracker.combine([result.usage, repair.usage]);
+  parsed = structuredOutput.parse(repair.text, replySchema);
+  if (parsed.errors.length > 0) {
+    throw new ToolError(ErrorCodes.INVALID_OUTPUT, `Provider reply does not conform to output_schema: ${parsed.errors.join('; ')}`, {
+      provider: result.config.provider,
+      model: result.config.model,
+      errors: parsed.errors,
+      text: repair.text,
+    });
+  }
+  return { value: parsed.value, repaired: true };
+}
+
+/**
+ * Transcribe the text in an image, tile by tile for large images
+ * @param {Object} image - Image from loadImage
+ * @param {Object} options - { tiling, tileSize, provider, model, signal, timeoutMs }
+ * @returns {Promise<Object>} - { blocks, size, tiles, results }
+ * @throws {ToolError} - If the image cannot be decoded or a provider call fails
+ */
+async function extractText(image, options) {
+  const { buffer } = image;
+  let size;
+  try {
+    size = await imageProcessor.getSize(buffer);
+  } catch (error) {
+    throw new ToolError(ErrorCodes.INVALID_IMAGE, `Failed to process image: ${error.message}`, { path: image.path });
+  }
+
+  const tiles = options.tiling === 'off'
+    ? [{ left: 0, top: 0, width: size.width, height: size.height, row: 0, column: 0 }]
+    : imageProcessor.planTiles(size.width, size.height, options.tileSize || textExtractor.defaultTileSize);
+  const tileBuffers = tiles.length > 1 ? await imageProcessor.extractTiles(buffer, tiles) : [null];
+  const schema = textExtractor.outputSchema;
+  const tileBlocks = [];
+  const results = [];
+
+  for (let index = 0; index < tiles.length; index++) {
+    const tile = { path: image.path, buffer: tileBuffers[index] || buffer };
+    const prompt = structuredOutput.buildPrompt(textExtractor.buildPrompt({ index, count: tiles.length }), schema);
+    const result = await analyzeImages([tile], prompt, { ...options, outputSchema: schema });
+    const structured = await parseStructuredOutput(result, schema, options);
+    tileBlocks.push(textExtractor.toSourceBlocks(structured.value.blocks, tiles[index]));
+    results.push(result);
+  }
+
+  return { blocks: textExtractor.mergeTiles(tileBlocks, tiles), size, tiles, results };
+}
+
+/**
+ * Detect objects in an image and convert their boxes to pixels
+ * @param {Object} image - Image from loadImage
+ * @param {Object} options - { targets, maxObjects, annotate, provider, model, signal, timeoutMs }
+ * @returns {Promise<Object>} - { objects, size, annotated, result }
+ * @throws {ToolError} - If the image cannot be decoded or the provider call fails
+ */
+async function detectObjects(image, options) {
+  const { buffer } = image;
+  let size;
+  try {
+    // Boxes are relative to the image as displayed, so use the EXIF-oriented dimensions
+    size = await imageProcessor.getSize(buffer);
+  } catch (error) {
+    throw new ToolError(ErrorCodes.INVALID_IMAGE, `Failed to process image: ${error.message}`, { path: image.path });
+  }
+
+  const schema = objectDetector.outputSchema;
+  const prompt = structuredOutput.buildPrompt(objectDetector.buildPrompt(options.targets, options.maxObjects), schema);
+  const result = await analyzeImages([{ path: image.path, buffer }], prompt, { ...options, outputSchema: schema });
+  const structured = await parseStructuredOutput(result, schema, { ...options, replySchema: objectDetector.replySchema });
+  const objects = objectDetector.toPixelObjects(structured.value.objects, size, options.maxObjects);
+
+  return {
+    objects,
+    size,
+    annotated: options.annotate ? await imageProcessor.annotateBoxes(buffer, objects) : null,
+    result,
   };
+}
 
-  const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent?key=${config.apiKey}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(requestBody),
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Gemini API error: ${response.statusText} - ${errorText}`);
+/**
+ * Build the prompt for a comparison, telling the model how the images are ordered and labelled
+ * @param {string} prompt - Comparison prompt
+ * @param {number} count - Number of images
+ * @param {string[]|null} labels - Optional label for each image
+ * @returns {string} - Prompt sent to the provider
+ */
+function buildComparisonPrompt(prompt, count, labels) {
+  const names = Array.from({ length: count }, (_, index) => (labels && labels[index] ? `"${labels[index]}"` : `Image ${index + 1}`));
+  const order = labels
+    ? `You are given ${count} images, in this order: ${names.map((label, index) => `${index + 1}. ${label}`).join(', ')}. Refer to each image by its label.`
+    : `You are given ${count} images, numbered Image 1 to Image ${count} in the order they appear. Refer to each image by its number.`;
+  return `${order}\n\n${prompt}`;
+}
+
+/**
+ * Build the tool result for a pixel diff
+ * @param {Object} diff - Result of ImageDiff#compare
+ * @param {Object} [analysis] - Result of analyzeImages when an explanation was requested
+ * @param {string} [overlayPath] - Where the overlay was written, if anywhere
+ * @returns {Object} - MCP tool result
+ */
+function buildDiffResult(diff, analysis, overlayPath) {
+  const lines = [
+    `Similarity: ${(diff.similarity * 100).toFixed(2)}% (${diff.changedPixels} of ${diff.totalPixels} pixels changed, threshold ${diff.threshold})`,
+  ];
+  if (diff.sizeMismatch) {
+    const { before, after } = diff.sizeMismatch;
+    lines.push(`Image sizes differ (${before.width}x${before.height} vs ${after.width}x${after.height}); the second image was scaled to the first before comparing.`);
   }
-  
-  const result = await response.json();
-  
-  if (result.candidates && result.candidates.length > 0) {
-    return result.candidates[0].content.parts[0].text;
+  if (diff.regions.length > 0) {
+    lines.push(`Changed regions (${diff.regions.length}${diff.regionsTruncated ? ', largest only' : ''}):`);
+    diff.regions.forEach((region, index) => {
+      lines.push(`${index + 1}. x=${region.x} y=${region.y} width=${region.width} height=${region.height}`);
+    });
   } else {
-    throw new Error('No response generated by Gemini API');
+    lines.push('No changed regions.');
   }
+  if (overlayPath) {
+    lines.push(`Overlay written to ${overlayPath}`);
+  }
+
+  const content = [
+    { type: 'text', text: lines.join('\n') },
+    { type: 'image', data: diff.overlay.toString('base64'), mimeType: 'image/png' },
+  ];
+  const { overlay, ...summary } = diff;
+  const meta = { diff: { ...summary, overlayPath: overlayPath || null } };
+
+  if (analysis) {
+    content.push({ type: 'text', text: analysis.text });
+    const { _meta } = buildAnalysisResult(analysis);
+    meta.image = _meta.image;
+    meta.provider = _meta.provider;
+  }
+
+  return { content, _meta: meta };
 }
 
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+/**
+ * Build the tool result for a usage report
+ * @param {Object} report - Result of UsageTracker#report
+ * @param {Object} budget - Result of Guardrails#status
+ * @returns {Object} - MCP tool result
+ */
+function buildUsageReport(report, budget) {
+  // Only successful calls are priced, so without any there is no cost to show
+  const formatCost = (entry) => {
+    if (entry.calls === 0) {
+      return 'no successful calls';
+    }
+    if (entry.unpricedCalls === entry.calls) {
+      return 'no price configured';
+    }
+    return `$${entry.cost.toFixed(4)}${entry.unpricedCalls > 0 ? ` (${entry.unpricedCalls} unpriced calls)` : ''}`;
+  };
+  const { totals } = report;
+  const lines = [
+    `Usage since ${report.since}: ${totals.attemptedCalls} provider calls (${totals.calls} succeeded, ${totals.failedCalls} failed; ${totals.cachedCalls} answered from cache), `
+      + `${totals.inputTokens} input and ${totals.outputTokens} output tokens, estimated cost: ${formatCost(totals)}`,
+  ];
+  for (const entry of report.models) {
+    lines.push(
+      `- ${entry.provider} / ${entry.model}: ${entry.attemptedCalls} calls (${entry.calls} succeeded, ${entry.failedCalls} failed), ${entry.cachedCalls} cached, `
+      + `${entry.inputTokens} in / ${entry.outputTokens} out tokens, cost: ${formatCost(entry)}`
+      + `${entry.averageLatencyMs === null ? '' : `, ${entry.averageLatencyMs}ms average per successful call`}`
+    );
+  }
+  if (report.models.length === 0) {
+    lines.push('No provider calls yet.');
+  }
+
+  const { limits, session, today } = budget;
+  const used = [
+    [limits.sessionTokens, `${session.tokens} of ${limits.sessionTokens} tokens this session`],
+    [limits.sessionUsd, `$${session.cost.toFixed(4)} of $${limits.sessionUsd} this session`],
+    [limits.dailyTokens, `${today.tokens} of ${limits.dailyTokens} tokens today`],
+    [limits.dailyUsd, `$${today.cost.toFixed(4)} of $${limits.dailyUsd} today`],
+    [limits.callsPerMinute, `at most ${limits.callsPerMinute} provider requests per minute`],
+    [limits.imageBytesPerCall, `at most ${limits.imageBytesPerCall} image bytes per call`],
+  ].filter(([limit]) => limit !== null).map(([, text]) => text);
+  if (used.length > 0) {
+    lines.push(`Limits: ${used.join('; ')}`);
+  }
+
   return {
-    tools: [
+    content: [{ type: 'text', text: lines.join('\n') }],
+    structuredContent: { ...report, budget },
+  };
+}
+
+/**
+ * Build the tool result for a text extraction
+ * @param {Object} extraction - Result of extractText
+ * @param {string} format - Output format
+ * @returns {Object} - MCP tool result
+ */
+function buildTextResult(extraction, format) {
+  const { blocks, size, tiles, results } = extraction;
+  const last = buildAnalysisResult(results[results.length - 1]);
+  return {
+    content: [
       {
-        name: 'analyze_image',
-        description: 'Analyze an image using OpenRouter or Google Gemini vision models',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            image_path: {
-              type: 'string',
-              description: 'Path to the image file',
-            },
-            prompt: {
-              type: 'string',
-              description: 'What to analyze about the image',
-            },
-            provider: {
-              type: 'string',
-              description: 'AI provider to use (openrouter or gemini). If not specified, will auto-detect based on available API keys',
-              enum: ['openrouter', 'gemini']
-            },
-            model: {
-              type: 'string',
-              description: 'Specific model to use (optional - overrides environment default)',
-            },
-          },
-          required: ['image_path'],
-        },
+        type: 'text',
+        text: textExtractor.render(blocks, format, size) || '(no text found)',
+      },
+    ],
+    structuredContent: { width: size.width, height: size.height, blocks },
+    _meta: {
+      image: results.length === 1 ? last._meta.image : results.map(result => result.metadata[0]),
+      provider: last._meta.provider,
+      ocr: {
+        format,
+        blocks: blocks.length,
+        tiles: tiles.length > 1 ? tiles.map(({ left, top, width, height }) => ({ x: left, y: top, width, height })) : null,
       },
+    },
+  };
+}
+
+/**
+ * Build the tool result for an object detection
+ * @param {Object} detection - Result of detectObjects
+ * @param {string} [annotatedPath] - Where the annotated image was written, if anywhere
+ * @returns {Object} - MCP tool result
+ */
+function buildDetectionResult(detection, annotatedPath) {
+  const { objects, size, annotated, result } = detection;
+  const output = { width: size.width, height: size.height, objects };
+  const content = [
+    {
+      type: 'text',
+      text: JSON.stringify(output, null, 2),
+    },
+  ];
+  if (annotated) {
+    content.push({ type: 'image', data: annotated.toString('base64'), mimeType: 'image/png' });
+  }
+
+  const { _meta } = buildAnalysisResult(result);
+  return {
+    content,
+    structuredContent: output,
+    _meta: { ..._meta, detection: { count: objects.length, annotatedPath: annotatedPath || null } },
+  };
+}
+
+/**
+ * Record the analysis preset used in a tool result
+ * @param {Object} toolResult - MCP tool result
+ * @param {Object|null} preset - Preset from the catalog
+ * @returns {Object} - The tool result
+ */
+function withPreset(toolResult, preset) {
+  if (preset) {
+    toolResult._meta.preset = preset.name;
+  }
+  return toolResult;
+}
+
+/**
+ * Build the tool result for an analysis
+ * @param {Object} result - Result of analyzeImages
+ * @param {Object} [structured] - Result of parseStructuredOutput when an output_schema was given
+ * @returns {Object} - MCP tool result
+ */
+function buildAnalysisResult(result, structured) {
+  if (structured) {
+    const analysis = buildAnalysisResult({ ...result, text: JSON.stringify(structured.value, null, 2) });
+    analysis._meta.output = {
+      format: 'json',
+      native: Boolean(result.config.capabilities.structuredOutput),
+      repaired: structured.repaired,
+    };
+    // structuredContent must be an object; other JSON values are only returned as text
+    if (structured.value && typeof structured.value === 'object' && !Array.isArray(structured.value)) {
+      analysis.structuredContent = structured.value;
+    }
+    return analysis;
+  }
+
+  return {
+    content: [
       {
-        name: 'describe_image',
-        description: 'Describe an image in detail (alias for analyze_image with default prompt)',
-        inputSchema: {
+        type: 'text',
+        text: result.text,
+      },
+    ],
+    _meta: {
+      image: result.metadata.length === 1 ? result.metadata[0] : result.metadata,
+      provider: {
+        name: result.config.provider,
+        model: result.config.model,
+        failover: result.attempts.some(attempt => attempt.provider !== result.config.provider || attempt.model !== result.config.model),
+        attempts: result.attempts,
+      },
+    },
+  };
+}
+
+// Tool definitions (inputSchema is also used to validate incoming arguments)
+const tools = [
+  {
+    name: 'analyze_image',
+    description: 'Analyze an image using the configured vision provider (OpenRouter, Google Gemini, OpenAI, Anthropic, a local server or a custom adapter)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        image_path: imagePathSchema,
+        image_url: imageUrlSchema,
+        image_base64: imageBase64Schema,
+        prompt: {
+          type: 'string',
+          description: 'What to analyze about the image',
+        },
+        output_schema: {
           type: 'object',
-          properties: {
-            image_path: {
-              type: 'string',
-              description: 'Path to the image file',
-            },
-            prompt: {
-              type: 'string',
-              description: 'Custom prompt for image description (optional - uses default if not provided)',
-            },
-            provider: {
-              type: 'string',
-              description: 'AI provider to use (openrouter or gemini). If not specified, will auto-detect based on available API keys',
-              enum: ['openrouter', 'gemini']
-            },
-            model: {
-              type: 'string',
-              description: 'Specific model to use (optional - overrides environment default)',
-            },
-          },
-          required: ['image_path'],
+          description: 'JSON Schema the answer must conform to. The answer is returned as validated JSON (text and structuredContent) instead of free text',
         },
+        provider: providerSchema,
+        model: {
+          type: 'string',
+          description: 'Specific model to use (optional - overrides environment default)',
+        },
+        timeout_ms: timeoutSchema,
+        no_cache: noCacheSchema,
       },
-      {
-        name: 'focused_analyze_image',
-        description: 'Analyze specific aspects of an image with focused prompts',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            image_path: {
-              type: 'string',
-              description: 'Path to the image file',
-            },
-            focus_area: {
-              type: 'string',
-              description: 'Specific area to focus on (e.g., "text", "faces", "objects", "colors", "layout")',
-            },
-            prompt: {
-              type: 'string',
-              description: 'Custom prompt for focused analysis (overrides focus_area if provided)',
-            },
-            provider: {
-              type: 'string',
-              description: 'AI provider to use (openrouter or gemini). If not specified, will auto-detect based on available API keys',
-              enum: ['openrouter', 'gemini']
-            },
-            model: {
-              type: 'string',
-              description: 'Specific model to use (optional - overrides environment default)',
+      required: ['prompt'],
+    },
+  },
+  {
+    name: 'describe_image',
+    description: 'Describe an image in detail (alias for analyze_image with default prompt)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        image_path: imagePathSchema,
+        image_url: imageUrlSchema,
+        image_base64: imageBase64Schema,
+        prompt: {
+          type: 'string',
+          description: 'Custom prompt for image description (optional - uses default if not provided)',
+        },
+        provider: providerSchema,
+        model: {
+          type: 'string',
+          description: 'Specific model to use (optional - overrides environment default)',
+        },
+        timeout_ms: timeoutSchema,
+        no_cache: noCacheSchema,
+      },
+    },
+  },
+  {
+    name: 'focused_analyze_image',
+    description: 'Analyze specific aspects of an image with focused prompts',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        image_path: imagePathSchema,
+        image_url: imageUrlSchema,
+        image_base64: imageBase64Schema,
+        focus_area: {
+          type: 'string',
+          description: `Analysis preset, each with a tuned prompt and recommended model: ${presetCatalog.list().map(preset => `"${preset.name}" (${preset.description})`).join(', ')}. Presets that return JSON: ${presetCatalog.list().filter(preset => preset.outputSchema).map(preset => preset.name).join(', ')}`,
+          enum: presetCatalog.names(),
+        },
+        prompt: {
+          type: 'string',
+          description: 'Custom prompt for focused analysis (replaces the preset prompt if focus_area is also given)',
+        },
+        region: {
+          description: 'Area to crop before analysis: a named area (e.g. "top-left quadrant", "bottom half", "center") or a box {x, y, width, height} in pixels or normalized 0-1 coordinates',
+          oneOf: [
+            { type: 'string' },
+            {
+              type: 'object',
+              properties: {
+                x: { type: 'number', minimum: 0 },
+                y: { type: 'number', minimum: 0 },
+                width: { type: 'number', minimum: 0 },
+                height: { type: 'number', minimum: 0 },
+                unit: { type: 'string', enum: ['pixels', 'normalized'] },
+              },
+              required: ['x', 'y', 'width', 'height'],
             },
-          },
-          required: ['image_path'],
+          ],
         },
+        zoom: {
+          type: 'number',
+          description: 'Upscale factor applied to the cropped region (1-4). Small regions are upscaled automatically if omitted',
+          minimum: 1,
+          maximum: 4,
+        },
+        provider: providerSchema,
+        model: {
+          type: 'string',
+          description: 'Specific model to use (optional - overrides environment default)',
+        },
+        timeout_ms: timeoutSchema,
+        no_cache: noCacheSchema,
       },
-    ],
-  };
-});
+    },
+  },
+  {
+    name: 'compare_images',
+    description: 'Compare two or more images in a single provider request (e.g. before/after screenshots)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        image_paths: {
+          type: 'array',
+          description: 'Paths to the image files, in order',
+          items: { type: 'string' },
+          minItems: 2,
+          maxItems: validator.maxCompareImages,
+        },
+        labels: {
+          type: 'array',
+          description: 'Optional name for each image (e.g. ["before", "after"]), one per path, used by the model to refer to the images',
+          items: { type: 'string', minLength: 1 },
+        },
+        prompt: {
+          type: 'string',
+          description: 'What to compare (e.g. "What changed between these screenshots?")',
+        },
+        provider: providerSchema,
+        model: {
+          type: 'string',
+          description: 'Specific model to use (optional - overrides environment default)',
+        },
+        timeout_ms: timeoutSchema,
+        no_cache: noCacheSchema,
+      },
+      required: ['image_paths', 'prompt'],
+    },
+  },
+  {
+    name: 'extract_text',
+    description: 'Extract the text of an image (OCR) in reading order with block structure and bounding boxes. Suited to screenshots of logs, error dialogs and documents',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        image_path: imagePathSchema,
+        image_url: imageUrlSchema,
+        image_base64: imageBase64Schema,
+        format: {
+          type: 'string',
+          description: 'Output format: "markdown" (default, tables kept as tables), "plain" or "json" (blocks with lines, table rows and pixel bounding boxes)',
+          enum: textExtractor.formats,
+        },
+        tiling: {
+          type: 'string',
+          description: 'Split large images into overlapping tiles so small print is not lost to downscaling: "auto" (default) or "off"',
+          enum: ['auto', 'off'],
+        },
+        tile_size: {
+          type: 'integer',
+          description: `Longest tile side in pixels (default ${textExtractor.defaultTileSize}). Smaller tiles read smaller print but cost more requests`,
+          minimum: 512,
+          maximum: 4096,
+        },
+        provider: providerSchema,
+        model: {
+          type: 'string',
+          description: 'Specific model to use (optional - overrides environment default)',
+        },
+        timeout_ms: timeoutSchema,
+        no_cache: noCacheSchema,
+      },
+    },
+  },
+  {
+    name: 'detect_objects',
+    description: 'Detect objects in an image and return labelled bounding boxes in pixel coordinates as JSON, optionally with an annotated copy of the image',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        image_path: imagePathSchema,
+        image_url: imageUrlSchema,
+        image_base64: imageBase64Schema,
+        objects: {
+          type: 'array',
+          description: 'Kinds of object to look for (e.g. ["person", "car"]). Detects every prominent object if omitted',
+          items: { type: 'string', minLength: 1 },
+          maxItems: 20,
+        },
+        max_objects: {
+          type: 'integer',
+          description: `Largest number of objects to return (default ${objectDetector.defaultMaxObjects})`,
+          minimum: 1,
+          maximum: objectDetector.maxObjects,
+        },
+        annotate: {
+          type: 'boolean',
+          description: 'Also return a copy of the image with the boxes drawn (default false)',
+        },
+        annotated_path: {
+          type: 'string',
+          description: 'Optional .png path to write the annotated image to (implies annotate)',
+        },
+        provider: providerSchema,
+        model: {
+          type: 'string',
+          description: 'Specific model to use (optional - overrides environment default)',
+        },
+        timeout_ms: timeoutSchema,
+        no_cache: noCacheSchema,
+      },
+    },
+  },
+  {
+    name: 'diff_images',
+    description: 'Compute a local pixel diff of two images (similarity score, changed regions and a highlight overlay) for visual regression checks. Works offline; can optionally ask a provider to explain the changes',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        before_path: {
+          type: 'string',
+          description: 'Path to the reference image',
+        },
+        after_path: {
+          type: 'string',
+          description: 'Path to the changed image (scaled to the reference size if it differs)',
+        },
+        threshold: {
+          type: 'number',
+          description: 'Per-pixel colour difference (0-1) counted as a change (default 0.1). Lower values catch subtler changes',
+          minimum: 0,
+          maximum: 0.99,
+        },
+        overlay_path: {
+          type: 'string',
+          description: 'Optional .png path to also write the highlight overlay to',
+        },
+        explain: {
+          type: 'boolean',
+          description: 'Send the overlay and both images to the vision provider for a natural-language explanation (default false)',
+        },
+        prompt: {
+          type: 'string',
+          description: 'Custom prompt for the explanation (implies explain)',
+        },
+        provider: providerSchema,
+        model: {
+          type: 'string',
+          description: 'Specific model to use for the explanation (optional - overrides environment default)',
+        },
+        timeout_ms: timeoutSchema,
+        no_cache: noCacheSchema,
+      },
+      required: ['before_path', 'after_path'],
+    },
+  },
+  {
+    name: 'analyze_batch',
+    description: 'Analyze every image in a directory or glob pattern with the same prompt (e.g. caption or audit a folder of screenshots). Images are analyzed a few at a time; failures are reported per image and do not stop the batch',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Directory, or glob pattern such as "screenshots/**/*.png" (supports *, ?, ** and {a,b})',
+        },
+        prompt: {
+          type: 'string',
+          description: 'What to analyze about each image',
+        },
+        recursive: {
+          type: 'boolean',
+          description: 'Also analyze images in subdirectories when path is a directory (default false)',
+        },
+        concurrency: {
+          type: 'integer',
+          description: 'Images analyzed at the same time (1-8, default 3)',
+          minimum: 1,
+          maximum: 8,
+        },
+        max_images: {
+          type: 'integer',
+          description: 'Refuse the batch if more images match (1-1000, default 100)',
+          minimum: 1,
+          maximum: 1000,
+        },
+        output: {
+          type: 'string',
+          enum: ['table', 'json', 'csv'],
+          description: 'Return the results as a Markdown table (default), or write them as JSON or CSV next to the images',
+        },
+        output_path: {
+          type: 'string',
+          description: 'Where to write the JSON or CSV results (default analysis-results.json or .csv in the image directory)',
+        },
+        provider: providerSchema,
+        model: {
+          type: 'string',
+          description: 'Specific model to use (optional - overrides environment default)',
+        },
+        timeout_ms: timeoutSchema,
+        no_cache: noCacheSchema,
+      },
+      required: ['path', 'prompt'],
+    },
+  },
+  {
+    name: 'usage_report',
+    description: 'Summarize the provider calls of this session: calls, tokens, estimated cost and latency per provider and model',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+];
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+/**
+ * Load a tool's input image and remember it for the analysis history
+ * @param {Object} source - Source from ValidationUtils#validateImageSource
+ * @param {Object} callOptions - Call options; the image is pushed to callOptions.inputs when present
+ * @returns {Promise<Object>} - { path, buffer, format, source }
+ * @throws {ToolError} - If the image cannot be loaded, or IMAGE_TOO_LARGE if the call's images exceed the per-call limit
+ */
+async function loadImage(source, callOptions) {
+  const image = await imageSourceLoader.load(source, callOptions.signal);
+  if (callOptions.inputs) {
+    callOptions.inputs.push(image);
+    guardrails.checkImageBytes(callOptions.inputs);
+  }
+  return image;
+}
 
-  try {
-    if (name === 'analyze_image') {
-      const { image_path, prompt, provider, model } = args;
-      
-      // Get API configuration (will auto-detect if provider not specified)
-      const config = getAPIConfig(provider, model);
-      
-      // Read and validate image file
-      const imageBuffer = fs.readFileSync(image_path);
-      if (!validator.validateImageBuffer(imageBuffer)) {
-        throw new Error('Invalid or corrupted image file');
-      }
-      
-      const base64Image = imageBuffer.toString('base64');
-      
-      // Determine image type from file extension
-      const imageType = image_path.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg';
-      
-      // Call appropriate API based on provider
-      let analysis;
-      if (config.provider === 'gemini') {
-        analysis = await callGeminiAPI(base64Image, imageType, prompt, config);
-      } else {
-        analysis = await callOpenRouterAPI(base64Image, imageType, prompt, config);
-      }
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: analysis,
-          },
-        ],
-      };
-      
-    } else if (name === 'describe_image') {
-      const { image_path, prompt, provider, model } = args;
-      
-      // Get API configuration
-      const config = getAPIConfig(provider, model);
-      
-      // Read and validate image file
-      const imageBuffer = fs.readFileSync(image_path);
-      if (!validator.validateImageBuffer(imageBuffer)) {
-        throw new Error('Invalid or corrupted image file');
-      }
-      
-      const base64Image = imageBuffer.toString('base64');
-      const imageType = image_path.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg';
-      
-      // Call appropriate API
-      let analysis;
-      if (config.provider === 'gemini') {
-        analysis = await callGeminiAPI(base64Image, imageType, prompt, config);
-      } else {
-        analysis = await callOpenRouterAPI(base64Image, imageType, prompt, config);
+/**
+ * Run a tool whose arguments have been checked against its inputSchema
+ * @param {string} name - Tool name
+ * @param {Object} toolArgs - Validated tool arguments
+ * @param {Object} callOptions - { signal, progress, timeoutMs, noCache, analyses, inputs } for the provider calls
+ * @returns {Promise<Object>} - Tool result
+ * @throws {ToolError} - If the arguments are invalid or the analysis failed
+ */
+async function runTool(name, toolArgs, callOptions) {
+  if (name === 'analyze_image') {
+    const { image: source, prompt, provider, model } = validator.validateAnalysisParams(toolArgs);
+    const outputSchema = toolArgs.output_schema ? structuredOutput.validateOutputSchema(toolArgs.output_schema) : null;
+    const image = await loadImage(source, callOptions);
+    
+    // Preprocess the image and call the provider chain (auto-detected if provider not specified)
+    if (outputSchema) {
+      const result = await analyzeImages([image], structuredOutput.buildPrompt(prompt, outputSchema), { ...callOptions, provider, model, outputSchema });
+      return buildAnalysisResult(result, await parseStructuredOutput(result, outputSchema, callOptions));
+    }
+    const result = await analyzeImages([image], prompt, { ...callOptions, provider, model });
+    return buildAnalysisResult(result);
+    
+  } else if (name === 'describe_image') {
+    const { image: source, prompt, provider, model } = validator.validateAnalysisParams({
+      ...toolArgs,
+      prompt: toolArgs.prompt || DEFAULT_DESCRIBE_PROMPT,
+    });
+    
+    const image = await loadImage(source, callOptions);
+    const result = await analyzeImages([image], prompt, { ...callOptions, provider, model });
+    return buildAnalysisResult(result);
+    
+  } else if (name === 'focused_analyze_image') {
+    const { focus_area, region, zoom } = toolArgs;
+    
+    if (!toolArgs.prompt && !focus_area) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'Either prompt or focus_area is required', { argument: 'focus_area' });
+    }
+    
+    // Use custom prompt if provided, otherwise the preset's tuned prompt
+    const preset = focus_area ? presetCatalog.get(focus_area) : null;
+    const { image: source, prompt: finalPrompt, provider, model } = validator.validateAnalysisParams({
+      ...toolArgs,
+      prompt: toolArgs.prompt || preset.prompt,
+    });
+    const presetOptions = { ...callOptions, provider, model, preferredModels: preset ? preset.models : undefined };
+    
+    // Crop the requested region before preprocessing
+    const images = [{ ...(await loadImage(source, callOptions)), region, zoom }];
+    if (preset && preset.outputSchema) {
+      const result = await analyzeImages(images, structuredOutput.buildPrompt(finalPrompt, preset.outputSchema), { ...presetOptions, outputSchema: preset.outputSchema });
+      return withPreset(buildAnalysisResult(result, await parseStructuredOutput(result, preset.outputSchema, callOptions)), preset);
+    }
+    const result = await analyzeImages(images, finalPrompt, presetOptions);
+    return withPreset(buildAnalysisResult(result), preset);
+    
+  } else if (name === 'compare_images') {
+    const { image_paths, labels, prompt, provider, model } = validator.validateComparisonParams(toolArgs);
+    
+    // All images go to the provider in one request
+    const images = [];
+    for (const [index, imagePath] of image_paths.entries()) {
+      images.push({ ...(await loadImage({ type: 'path', path: imagePath }, callOptions)), label: labels ? labels[index] : undefined });
+    }
+    const result = await analyzeImages(images, buildComparisonPrompt(prompt, images.length, labels), { ...callOptions, provider, model });
+    return buildAnalysisResult(result);
+    
+  } else if (name === 'extract_text') {
+    const { image: source, provider, model } = validator.validateImageParams(toolArgs);
+    const format = toolArgs.format || 'markdown';
+    
+    const extraction = await extractText(await loadImage(source, callOptions), { ...callOptions, provider, model, tiling: toolArgs.tiling, tileSize: toolArgs.tile_size });
+    return buildTextResult(extraction, format);
+    
+  } else if (name === 'detect_objects') {
+    const { image: source, provider, model } = validator.validateImageParams(toolArgs);
+    const annotatedPath = toolArgs.annotated_path ? validator.validateOutputImagePath(toolArgs.annotated_path, 'annotated_path') : null;
+    
+    const detection = await detectObjects(await loadImage(source, callOptions), {
+      ...callOptions,
+      provider,
+      model,
+      targets: toolArgs.objects ? toolArgs.objects.map(target => target.trim()) : null,
+      maxObjects: toolArgs.max_objects || objectDetector.defaultMaxObjects,
+      annotate: Boolean(toolArgs.annotate || annotatedPath),
+    });
+    if (annotatedPath) {
+      fs.writeFileSync(annotatedPath, detection.annotated);
+    }
+    return buildDetectionResult(detection, annotatedPath);
+    
+  } else if (name === 'diff_images') {
+    const { before_path, after_path, overlay_path, threshold, explain } = validator.validateDiffParams(toolArgs);
+    
+    // The pixel diff runs locally; a provider is only needed for the optional explanation
+    const before = await loadImage({ type: 'path', path: before_path }, callOptions);
+    const after = await loadImage({ type: 'path', path: after_path }, callOptions);
+    const diff = await imageDiff.compare(before.buffer, after.buffer, { threshold });
+    if (overlay_path) {
+      fs.writeFileSync(overlay_path, diff.overlay);
+    }
+    
+    let analysis = null;
+    if (explain) {
+      const { prompt, provider, model } = validator.validateComparisonParams({
+        ...toolArgs,
+        image_paths: [before_path, after_path],
+        prompt: toolArgs.prompt || DEFAULT_DIFF_PROMPT,
+      });
+      const labels = ['before', 'after', 'diff overlay'];
+      const images = [
+        { ...before, label: labels[0] },
+        { ...after, label: labels[1] },
+        { path: 'diff-overlay.png', buffer: diff.overlay, label: labels[2] },
+      ];
+      analysis = await analyzeImages(images, buildComparisonPrompt(prompt, images.length, labels), { ...callOptions, provider, model });
+    }
+    
+    return buildDiffResult(diff, analysis, overlay_path);
+    
+  } else if (name === 'analyze_batch') {
+    return analyzeBatch(toolArgs, callOptions);
+    
+  } else if (name === 'usage_report') {
+    return buildUsageReport(usageTracker.report(), guardrails.status());
+  }
+}
+
+/**
+ * Analyze every image of a directory or glob pattern through the analyze_image path, a few at
+ * a time. Each image is validated, cached and stored in the analysis history on its own;
+ * failures are reported per image. Cancellation ends the batch; a spent budget or request rate
+ * stops it, and the images not yet analyzed are reported as skipped.
+ * @param {Object} toolArgs - Validated analyze_batch arguments
+ * @param {Object} callOptions - { signal, progress, timeoutMs, noCache, analyses } of the batch call
+ * @returns {Promise<Object>} - Tool result
+ * @throws {ToolError} - If the arguments are invalid, no images match, a budget is already spent, or the call was cancelled
+ */
+async function analyzeBatch(toolArgs, callOptions) {
+  const { pattern, prompt, provider, model, output, output_path } = validator.validateBatchParams(toolArgs);
+  const { baseDir, files } = imageBatch.findImages(pattern, { recursive: toolArgs.recursive, maxImages: toolArgs.max_images });
+  // Check where the results go before spending anything on the analyses
+  const outputPath = output === 'table'
+    ? null
+    : output_path || validator.validateOutputPath(path.join(baseDir, `analysis-results.${output}`), 'output_path', `.${output}`);
+  const concurrency = Math.min(toolArgs.concurrency || imageBatch.defaultConcurrency, imageBatch.maxConcurrency);
+  // Refuse the whole batch rather than reporting every image as failed
+  guardrails.checkBudget();
+
+  const results = new Array(files.length);
+  // Once a limit is hit every later image would fail the same way, so the rest are skipped
+  const stopReasons = {
+    [ErrorCodes.BUDGET_EXCEEDED]: 'budget exceeded',
+    [ErrorCodes.RATE_LIMITED]: 'rate limit exceeded',
+  };
+  let stoppedBy = null;
+  await imageBatch.run(files, concurrency, async (file, index) => {
+    const image = path.relative(baseDir, file);
+    if (stoppedBy) {
+      results[index] = { image, ok: false, skipped: true, error: { code: stoppedBy.code, message: `skipped: ${stopReasons[stoppedBy.code]}` } };
+      if (callOptions.progress) {
+        callOptions.progress.item(files.length, `${image} skipped (${stoppedBy.code})`);
       }
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: analysis,
-          },
-        ],
+      return;
+    }
+    const analyses = [];
+    const inputs = [];
+    try {
+      const toolResult = await runTool('analyze_image', { image_path: file, prompt, provider, model }, {
+        signal: callOptions.signal,
+        timeoutMs: callOptions.timeoutMs,
+        noCache: callOptions.noCache,
+        analyses,
+        inputs,
+      });
+      const stored = recordAnalysis('analyze_image', withUsage(withCacheStatus(toolResult, analyses), analyses), analyses, inputs);
+      const [analysis] = analyses;
+      results[index] = {
+        image,
+        ok: true,
+        text: analysis.text,
+        provider: analysis.config.provider,
+        model: analysis.config.model,
+        cached: analysis.cache.hit,
+        usage: analysis.usage,
+        uri: stored._meta.analysis.uri,
       };
-      
-    } else if (name === 'focused_analyze_image') {
-      const { image_path, focus_area, prompt, provider, model } = args;
-      
-      // Use custom prompt if provided, otherwise generate from focus_area
-      const finalPrompt = prompt || `Analyze the ${focus_area} in this image and provide detailed insights.`;
-      
-      // Get API configuration
-      const config = getAPIConfig(provider, model);
-      
-      // Read and validate image file
-      const imageBuffer = fs.readFileSync(image_path);
-      if (!validator.validateImageBuffer(imageBuffer)) {
-        throw new Error('Invalid or corrupted image file');
+    } catch (error) {
+      if (error instanceof ToolError && error.code === ErrorCodes.CANCELLED) {
+        throw error;
       }
-      
-      const base64Image = imageBuffer.toString('base64');
-      const imageType = image_path.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg';
-      
-      // Call appropriate API
-      let analysis;
-      if (config.provider === 'gemini') {
-        analysis = await callGeminiAPI(base64Image, imageType, finalPrompt, config);
+      const toolError = error instanceof ToolError ? error : new ToolError(ErrorCodes.INTERNAL_ERROR, error.message);
+      if (stopReasons[toolError.code]) {
+        // The limit is checked before the request, so this image was not analyzed either
+        stoppedBy = stoppedBy || { code: toolError.code, message: toolError.message };
+        results[index] = { image, ok: false, skipped: true, error: { code: toolError.code, message: `skipped: ${stopReasons[toolError.code]}` } };
       } else {
-        analysis = await callOpenRouterAPI(base64Image, imageType, finalPrompt, config);
+        results[index] = { image, ok: false, error: { code: toolError.code, message: toolError.message } };
       }
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: analysis,
-          },
-        ],
-      };
-      
-    } else {
-      throw new Error(`Unknown tool: ${name}`);
     }
+
+    if (callOptions.analyses) {
+      callOptions.analyses.push(...analyses);
+    }
+    if (callOptions.progress) {
+      const status = results[index].ok ? 'done' : results[index].skipped ? 'skipped' : 'failed';
+      callOptions.progress.item(files.length, results[index].ok ? `${image} ${status}` : `${image} ${status} (${results[index].error.code})`);
+    }
+  });
+
+  const succeeded = results.filter(result => result.ok).length;
+  const skipped = results.filter(result => result.skipped).length;
+  const report = { baseDir, prompt, total: files.length, succeeded, failed: files.length - succeeded - skipped, skipped, stoppedBy, results };
+  const lines = [`Analyzed ${files.length} image${files.length === 1 ? '' : 's'} in ${baseDir}: ${succeeded} succeeded, ${report.failed} failed`
+    + `${skipped > 0 ? `, ${skipped} skipped` : ''}`];
+  if (stoppedBy) {
+    lines.push(`Stopped early: ${stoppedBy.message}`);
+  }
+  if (outputPath) {
+    fs.writeFileSync(outputPath, output === 'json'
+      ? `${JSON.stringify({ createdAt: new Date().toISOString(), ...report }, null, 2)}\n`
+      : imageBatch.renderCsv(results));
+    lines.push(`Results written to ${outputPath}`);
+  } else {
+    lines.push('', imageBatch.renderTable(results));
+  }
+
+  return {
+    content: [{ type: 'text', text: lines.join('\n') }],
+    structuredContent: { ...report, outputPath },
+    _meta: { batch: { concurrency, output, outputPath } },
+  };
+}
+
+/**
+ * Report whether the provider answers came from the response cache
+ * @param {Object} toolResult - Tool result
+ * @param {Object[]} analyses - Results of analyzeImages made during the call
+ * @returns {Object} - Tool result with _meta.cache as { hit, hits, misses }, unchanged if no provider was called
+ */
+function withCacheStatus(toolResult, analyses) {
+  if (!responseCache.enabled || analyses.length === 0) {
+    return toolResult;
+  }
+  const hits = analyses.filter(analysis => analysis.cache.hit).length;
+  const cache = { hit: hits === analyses.length, hits, misses: analyses.length - hits };
+  if (analyses.length === 1 && cache.hit) {
+    cache.storedAt = analyses[0].cache.storedAt;
+  }
+  return { ...toolResult, _meta: { ...toolResult._meta, cache } };
+}
+
+/**
+ * Report the tokens, estimated cost and latency of the provider calls made for a tool call
+ * @param {Object} toolResult - Tool result
+ * @param {Object[]} analyses - Results of analyzeImages made during the call
+ * @returns {Object} - Tool result with _meta.usage as { calls, inputTokens, outputTokens, cost, currency, latencyMs },
+ *   unchanged if no provider was called
+ */
+function withUsage(toolResult, analyses) {
+  if (analyses.length === 0) {
+    return toolResult;
+  }
+  const usage = {
+    calls: analyses.length,
+    ...usageTracker.combine(analyses.map(analysis => analysis.usage)),
+    currency: usageTracker.currency,
+  };
+  return { ...toolResult, _meta: { ...toolResult._meta, usage } };
+}
+
+/**
+ * Store a successful tool call so it can be read back as a glm-image://analysis resource
+ * @param {string} name - Tool name
+ * @param {Object} toolResult - Tool result
+ * @param {Object[]} analyses - Results of analyzeImages made during the call
+ * @param {Object[]} inputs - Input images loaded during the call (see loadImage)
+ * @returns {Object} - Tool result, with the stored analysis in _meta.analysis as { id, uri }
+ */
+function recordAnalysis(name, toolResult, analyses, inputs) {
+  const first = analyses[0];
+  const record = analysisStore.add({
+    tool: name,
+    images: inputs,
+    prompt: first ? first.prompt : null,
+    provider: first ? first.config.provider : null,
+    model: first ? first.config.model : null,
+    output: toolResult.content.filter(item => item.type === 'text').map(item => item.text).join('\n\n'),
+    structured: toolResult.structuredContent,
+    metadata: toolResult._meta,
+  });
+
+  // Command line runs have no client to notify; the analysis is stored either way
+  if (server.transport) {
+    server.sendResourceListChanged().catch(error => console.error(`Could not send resources/list_changed: ${error.message}`));
+  }
+
+  return {
+    ...toolResult,
+    _meta: { ...toolResult._meta, analysis: { id: record.id, uri: record.uri } },
+  };
+}
+
+/**
+ * Fetch the client's workspace roots (roots/list) into the path sandbox. On failure the
+ * previous roots stay in force.
+ * @returns {Promise<void>}
+ */
+async function refreshClientRoots() {
+  const capabilities = server.getClientCapabilities();
+  if (!capabilities || !capabilities.roots) {
+    return;
+  }
+  try {
+    const { roots } = await server.listRoots(undefined, { timeout: 10000 });
+    pathSandbox.setClientRoots(roots);
+    console.error(`Client roots: ${pathSandbox.clientRoots ? pathSandbox.clientRoots.join(', ') : 'none'}`);
+  } catch (error) {
+    console.error(`Could not list client roots: ${error.message}`);
+  }
+}
+
+// Tool calls wait for the latest roots/list so the client's roots apply from the first call
+let clientRootsRequest = Promise.resolve();
+server.oninitialized = () => {
+  clientRootsRequest = refreshClientRoots();
+};
+server.setNotificationHandler(RootsListChangedNotificationSchema, async () => {
+  clientRootsRequest = refreshClientRoots();
+});
+
+// List available tools
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return { tools };
+});
+
+// List reusable analysis prompts
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  return { prompts: promptLibrary.list() };
+});
+
+// Render a prompt with its arguments
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+  try {
+    return promptLibrary.get(name, args);
   } catch (error) {
+    // Prompt requests have no error result, so report as a JSON-RPC error
+    if (error instanceof ToolError) {
+      throw new McpError(ErrorCode.InvalidParams, error.message, error.toJSON());
+    }
+    throw error;
+  }
+});
+
+// List stored analyses, newest first
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  return { resources: analysisStore.list() };
+});
+
+// Read a stored analysis as JSON
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  try {
+    const record = analysisStore.read(uri);
     return {
-      content: [
+      contents: [
         {
-          type: 'text',
-          text: `Error: ${error.message}`,
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(record, null, 2),
         },
       ],
-      isError: true,
     };
+  } catch (error) {
+    if (error instanceof ToolError) {
+      throw new McpError(RESOURCE_NOT_FOUND, error.message, error.toJSON());
+    }
+    throw error;
   }
 });
 
+/**
+ * Validate and run a tool call, as received from an MCP client or the command line
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments, not yet validated
+ * @param {Object} callOptions - { signal, progress } for the provider calls
+ * @returns {Promise<Object>} - Tool result
+ * @throws {ToolError} - If the tool is unknown, the arguments are invalid, a limit is reached or the analysis failed
+ */
+async function callTool(name, args, callOptions) {
+  await clientRootsRequest;
+  const tool = tools.find(candidate => candidate.name === name);
+  if (!tool) {
+    throw new ToolError(ErrorCodes.UNKNOWN_TOOL, `Unknown tool: ${name}`);
+  }
+  
+  // Check arguments against the declared inputSchema before any file or network access
+  const toolArgs = validator.validateToolArguments(args, tool.inputSchema);
+  // usage_report keeps working once a budget is spent
+  if (name !== 'usage_report') {
+    guardrails.beginCall();
+  }
+  const analyses = [];
+  const inputs = [];
+  const toolResult = await runTool(name, toolArgs, { ...callOptions, timeoutMs: toolArgs.timeout_ms, noCache: toolArgs.no_cache, analyses, inputs });
+  const result = withUsage(withCacheStatus(toolResult, analyses), analyses);
+  // usage_report looks at no images and analyze_batch stores each image's analysis itself
+  return inputs.length === 0 ? result : recordAnalysis(name, result, analyses, inputs);
+}
+
+/**
+ * Build the error result of a failed tool call
+ * @param {string} name - Tool name
+ * @param {Error} error - Error thrown by callTool
+ * @returns {Object} - MCP tool result with isError set
+ */
+function buildErrorResult(name, error) {
+  const toolError = error instanceof ToolError
+    ? error
+    : new ToolError(ErrorCodes.INTERNAL_ERROR, error.message);
+
+  // The SDK drops responses to cancelled requests, so leave a trace in the server log
+  if (toolError.code === ErrorCodes.CANCELLED) {
+    console.error(`${name} cancelled: ${toolError.message}`);
+  }
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Error [${toolError.code}]: ${toolError.message}`,
+      },
+    ],
+    isError: true,
+    _meta: {
+      error: toolError.toJSON(),
+    },
+  };
+}
+
+// Handle tool calls
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  const { name, arguments: args } = request.params;
+  // extra.signal is aborted when the client sends notifications/cancelled for this request
+  const callOptions = {
+    signal: extra && extra.signal,
+    // Stage updates and streamed text are sent only if the client passed a progress token
+    progress: new ProgressReporter(extra && extra.sendNotification, request.params._meta && request.params._meta.progressToken),
+  };
+
+  try {
+    return await callTool(name, args, callOptions);
+  } catch (error) {
+    return buildErrorResult(name, error);
+  }
+});
+
+/**
+ * Run one command line subcommand (glm-image-mcp analyze <image> --prompt ...) through the
+ * same tool handlers as the server, printing the result to stdout
+ * @param {string[]} argv - Command line arguments after the script
+ * @returns {Promise<number>} - Exit code: 0 on success, 1 if the tool failed, 2 for usage errors
+ */
+async function runCommand(argv) {
+  const commandLine = new CommandLine(tools);
+  let command;
+  try {
+    command = commandLine.parse(argv);
+  } catch (error) {
+    process.stderr.write(`Error [${error.code}]: ${error.message}\n\n${commandLine.help(argv[0])}\n`);
+    return 2;
+  }
+  if (command.help) {
+    process.stdout.write(`${commandLine.help(command.command)}\n`);
+    return 0;
+  }
+
+  if (command.stdin) {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    command.args[command.stdin] = Buffer.concat(chunks).toString('base64');
+  }
+
+  // Progress goes to stderr so stdout stays parseable
+  const progress = new ProgressReporter(command.progress ? async (notification) => {
+    process.stderr.write(`${notification.params.message}\n`);
+  } : null, 'cli');
+  let result;
+  try {
+    result = await callTool(command.tool, command.args, { progress });
+  } catch (error) {
+    result = buildErrorResult(command.tool, error);
+  }
+
+  if (result.isError && !command.json) {
+    process.stderr.write(commandLine.render(result, false));
+  } else {
+    process.stdout.write(commandLine.render(result, command.json));
+  }
+  return result.isError ? 1 : 0;
+}
+
 async function main() {
   try {
     const transport = new StdioServerTransport();
     await server.connect(transport);
     console.error('GLM Image MCP Server running on stdio');
-    console.error('Supported providers: OpenRouter, Google Gemini');
-    console.error('Available tools: analyze_image');
+    console.error(`Supported providers: ${providerRegistry.names().join(', ')}`);
+    console.error(`Available tools: ${tools.map(tool => tool.name).join(', ')}`);
+    console.error(`Available prompts: ${promptLibrary.list().map(prompt => prompt.name).join(', ')}`);
+    console.error(pathSandbox.configuredRoots
+      ? `File access limited to: ${pathSandbox.configuredRoots.join(', ')}`
+      : 'File access not limited by IMAGE_ROOTS; client roots apply if the client reports them');
     console.error('Server ready for MCP connections from any IDE or extension');
   } catch (error) {
     console.error('Failed to start GLM Image MCP Server:', error.message);
@@ -428,10 +1737,21 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
-// Start server if this file is run directly
+// Start the server, or run a subcommand, if this file is run directly
 if (require.main === module) {
-  main().catch((error) => {
-    console.error('Server error:', error);
-    process.exit(1);
-  });
+  const argv = process.argv.slice(2);
+  if (argv.length > 0 && argv[0] !== 'serve') {
+    // Exit once stdout is flushed; keep-alive sockets would otherwise hold the process open
+    runCommand(argv).then((exitCode) => {
+      process.stdout.write('', () => process.exit(exitCode));
+    }, (error) => {
+      console.error('Command error:', error);
+      process.exit(1);
+    });
+  } else {
+    main().catch((error) => {
+      console.error('Server error:', error);
+      process.exit(1);
+    });
+  }
 }
\ No newline at end of file
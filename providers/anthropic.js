@@ -0,0 +1,92 @@
+const { ErrorCodes, ToolError } = require('../utils/errors');
+
+/**
+ * Anthropic provider adapter
+ * Uses the Messages API with base64 image content blocks
+ */
+module.exports = {
+  name: 'anthropic',
+  displayName: 'Anthropic',
+  defaultModel: 'claude-sonnet-4-5',
+  defaultBaseUrl: 'https://api.anthropic.com',
+  env: {
+    apiKey: 'ANTHROPIC_API_KEY',
+    model: 'ANTHROPIC_MODEL',
+    maxDimension: 'ANTHROPIC_MAX_DIMENSION',
+    timeout: 'ANTHROPIC_TIMEOUT_MS',
+    baseUrl: 'ANTHROPIC_BASE_URL'
+  },
+  capabilities: {
+    requiresApiKey: true,
+    multipleImages: true,
+    // Larger images are downscaled by the API anyway, so sending more only adds latency
+    maxImageDimension: 1568,
+    acceptedImageFormats: ['jpeg', 'png', 'webp', 'gif']
+  },
+
+  /**
+   * Build the HTTP request for an analysis
+   * @param {string} prompt - Analysis prompt
+   * @param {Object[]} images - Images as { base64, mimeType }
+   * @param {Object} config - Resolved provider configuration
+   * @returns {Object} - { url, headers, body }
+   */
+  buildRequest(prompt, images, config) {
+    // Anthropic recommends placing images before the text that refers to them
+    const content = images.map(image => ({
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: image.mimeType,
+        data: image.base64
+      }
+    }));
+    content.push({ type: 'text', text: prompt });
+
+    const baseUrl = config.baseUrl.replace(/\/+$/, '');
+
+    return {
+      url: `${baseUrl}/v1/messages`,
+      headers: {
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json'
+      },
+      body: {
+        model: config.model,
+        max_tokens: 4096,
+        messages: [{ role: 'user', content }]
+      }
+    };
+  },
+
+  /**
+   * Extract the generated text from a response body
+   * @param {Object} result - Parsed JSON response
+   * @returns {string} - Generated text
+   * @throws {ToolError} - PROVIDER_ERROR if no text block was returned
+   */
+  parseResponse(result) {
+    const text = (result.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (text) {
+      return text;
+    }
+    throw new ToolError(ErrorCodes.PROVIDER_ERROR, 'No response generated by Anthropic API', { provider: 'anthropic' });
+  },
+
+  /**
+   * Extract the token counts from a response body
+   * @param {Object} result - Parsed JSON response
+   * @returns {Object|null} - { inputTokens, outputTokens }, or null if the response reports no usage
+   */
+  parseUsage(result) {
+    if (!result.usage) {
+      return null;
+    }
+    return { inputTokens: result.usage.input_tokens || 0, outputTokens: result.usage.output_tokens || 0 };
+  }
+};
@@ -0,0 +1,153 @@
+const { ErrorCodes, ToolError } = require('../utils/errors');
+
+/**
+ * Google Gemini provider adapter
+ * Uses the generateContent REST endpoint with inline base64 image parts, or
+ * streamGenerateContent (server-sent events) when streaming
+ */
+module.exports = {
+  name: 'gemini',
+  displayName: 'Google Gemini',
+  defaultModel: 'gemini-2.5-pro',
+  env: {
+    apiKey: 'GEMINI_API_KEY',
+    model: 'GEMINI_MODEL',
+    maxDimension: 'GEMINI_MAX_DIMENSION',
+    timeout: 'GEMINI_TIMEOUT_MS'
+  },
+  capabilities: {
+    requiresApiKey: true,
+    multipleImages: true,
+    structuredOutput: true,
+    streaming: true,
+    maxImageDimension: 3072,
+    acceptedImageFormats: ['jpeg', 'png', 'webp']
+  },
+
+  /**
+   * Build the HTTP request for an analysis
+   * @param {string} prompt - Analysis prompt
+   * @param {Object[]} images - Images as { base64, mimeType }
+   * @param {Object} config - Resolved provider configuration
+   * @param {Object} [options] - { outputSchema, stream }: JSON Schema the reply must conform to, and whether to stream
+   * @returns {Object} - { url, headers, body }
+   */
+  buildRequest(prompt, images, config, options = {}) {
+    const parts = [{ text: prompt }];
+    for (const image of images) {
+      parts.push({
+        inline_data: {
+          mime_type: image.mimeType,
+          data: image.base64
+        }
+      });
+    }
+
+    const body = { contents: [{ parts }] };
+    if (options.outputSchema) {
+      body.generationConfig = {
+        responseMimeType: 'application/json',
+        responseSchema: this.toResponseSchema(options.outputSchema)
+      };
+    }
+
+    return {
+      url: options.stream
+        ? `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:streamGenerateContent?alt=sse&key=${config.apiKey}`
+        : `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent?key=${config.apiKey}`,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body
+    };
+  },
+
+  /**
+   * Convert a JSON Schema to the OpenAPI subset accepted by responseSchema.
+   * Unsupported keywords are dropped; the reply is still validated against the full schema.
+   * @param {Object} schema - JSON Schema
+   * @returns {Object} - Gemini schema
+   */
+  toResponseSchema(schema) {
+    const keywords = [
+      'type', 'format', 'description', 'nullable', 'enum', 'properties', 'required',
+      'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf', 'propertyOrdering'
+    ];
+    const converted = {};
+    for (const key of keywords) {
+      if (schema[key] !== undefined) {
+        converted[key] = schema[key];
+      }
+    }
+
+    // ["string", "null"] becomes type "string" with nullable
+    if (Array.isArray(schema.type)) {
+      const types = schema.type.filter(type => type !== 'null');
+      converted.type = types[0];
+      if (types.length < schema.type.length) {
+        converted.nullable = true;
+      }
+    }
+    if (schema.oneOf && !schema.anyOf) {
+      converted.anyOf = schema.oneOf;
+    }
+
+    if (converted.properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(converted.properties).map(([name, property]) => [name, this.toResponseSchema(property)])
+      );
+    }
+    if (converted.items) {
+      converted.items = this.toResponseSchema(converted.items);
+    }
+    if (converted.anyOf) {
+      converted.anyOf = converted.anyOf.map(option => this.toResponseSchema(option));
+    }
+    return converted;
+  },
+
+  /**
+   * Extract the generated text from a response body
+   * @param {Object} result - Parsed JSON response
+   * @returns {string} - Generated text
+   * @throws {ToolError} - PROVIDER_ERROR if no candidate was returned
+   */
+  parseResponse(result) {
+    if (result.candidates && result.candidates.length > 0) {
+      return result.candidates[0].content.parts[0].text;
+    }
+    throw new ToolError(ErrorCodes.PROVIDER_ERROR, 'No response generated by Gemini API', { provider: 'gemini' });
+  },
+
+  /**
+   * Extract the token counts from a response body or streamed event (each event carries the running totals)
+   * @param {Object} result - Parsed JSON response or stream event
+   * @returns {Object|null} - { inputTokens, outputTokens }, or null if the response reports no usage
+   */
+  parseUsage(result) {
+    const usage = result.usageMetadata;
+    if (!usage) {
+      return null;
+    }
+    // Thinking tokens are billed as output
+    return {
+      inputTokens: usage.promptTokenCount || 0,
+      outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+    };
+  },
+
+  /**
+   * Extract the text added by one streamed event
+   * @param {Object} event - Parsed JSON of a server-sent event (a partial generateContent response)
+   * @returns {string} - Text delta, empty if the event carries none
+   * @throws {ToolError} - PROVIDER_ERROR if the stream reports an error
+   */
+  parseStreamEvent(event) {
+    if (event.error) {
+      throw new ToolError(ErrorCodes.PROVIDER_ERROR, `Gemini API error: ${event.error.message || JSON.stringify(event.error)}`, { provider: 'gemini', status: event.error.code });
+    }
+    const candidate = event.candidates && event.candidates[0];
+    const parts = candidate && candidate.content && candidate.content.parts ? candidate.content.parts : [];
+    return parts.filter(part => !part.thought).map(part => part.text || '').join('');
+  }
+};
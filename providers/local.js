@@ -0,0 +1,126 @@
+const { ErrorCodes, ToolError } = require('../utils/errors');
+
+/**
+ * Local provider adapter for offline use
+ * Talks to Ollama's /api/chat or any OpenAI-compatible /v1/chat/completions server
+ * (llama.cpp, LM Studio, vLLM). No API key is required.
+ */
+module.exports = {
+  name: 'local',
+  displayName: 'Local Vision Server',
+  defaultModel: 'llava',
+  defaultBaseUrl: 'http://localhost:11434',
+  env: {
+    apiKey: 'LOCAL_VISION_API_KEY',
+    model: 'LOCAL_VISION_MODEL',
+    maxDimension: 'LOCAL_VISION_MAX_DIMENSION',
+    timeout: 'LOCAL_VISION_TIMEOUT_MS',
+    baseUrl: 'LOCAL_VISION_BASE_URL'
+  },
+  capabilities: {
+    requiresApiKey: false,
+    multipleImages: true,
+    maxImageDimension: 1536,
+    acceptedImageFormats: ['jpeg', 'png']
+  },
+
+  /**
+   * Select the wire format: LOCAL_VISION_API if set, otherwise OpenAI-compatible for base URLs ending in /v1
+   * @param {string} baseUrl - Server base URL without trailing slash
+   * @returns {string} - 'ollama' or 'openai'
+   * @throws {ToolError} - CONFIGURATION_ERROR if LOCAL_VISION_API is invalid
+   */
+  getApiStyle(baseUrl) {
+    const style = (process.env.LOCAL_VISION_API || '').toLowerCase();
+    if (!style) {
+      return /\/v1$/.test(baseUrl) ? 'openai' : 'ollama';
+    }
+    if (!['ollama', 'openai'].includes(style)) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Invalid LOCAL_VISION_API: ${style}. Valid values: ollama, openai`);
+    }
+    return style;
+  },
+
+  /**
+   * Build the HTTP request for an analysis
+   * @param {string} prompt - Analysis prompt
+   * @param {Object[]} images - Images as { base64, mimeType }
+   * @param {Object} config - Resolved provider configuration
+   * @returns {Object} - { url, headers, body }
+   */
+  buildRequest(prompt, images, config) {
+    const baseUrl = config.baseUrl.replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+
+    if (this.getApiStyle(baseUrl) === 'ollama') {
+      return {
+        url: `${baseUrl}/api/chat`,
+        headers,
+        body: {
+          model: config.model,
+          stream: false,
+          messages: [
+            {
+              role: 'user',
+              content: prompt,
+              images: images.map(image => image.base64)
+            }
+          ]
+        }
+      };
+    }
+
+    const content = [{ type: 'text', text: prompt }];
+    for (const image of images) {
+      content.push({
+        type: 'image_url',
+        image_url: {
+          url: `data:${image.mimeType};base64,${image.base64}`
+        }
+      });
+    }
+
+    return {
+      url: `${/\/v1$/.test(baseUrl) ? baseUrl : `${baseUrl}/v1`}/chat/completions`,
+      headers,
+      body: {
+        model: config.model,
+        messages: [{ role: 'user', content }]
+      }
+    };
+  },
+
+  /**
+   * Extract the generated text from either response format
+   * @param {Object} result - Parsed JSON response
+   * @returns {string} - Generated text
+   * @throws {ToolError} - PROVIDER_ERROR if no message was returned
+   */
+  parseResponse(result) {
+    if (result.message && typeof result.message.content === 'string') {
+      return result.message.content;
+    }
+    if (result.choices && result.choices.length > 0) {
+      return result.choices[0].message.content;
+    }
+    throw new ToolError(ErrorCodes.PROVIDER_ERROR, 'No response generated by local vision server', { provider: 'local' });
+  },
+
+  /**
+   * Extract the token counts from either response format
+   * @param {Object} result - Parsed JSON response
+   * @returns {Object|null} - { inputTokens, outputTokens }, or null if the server reports no usage
+   */
+  parseUsage(result) {
+    if (typeof result.eval_count === 'number') {
+      return { inputTokens: result.prompt_eval_count || 0, outputTokens: result.eval_count };
+    }
+    if (result.usage) {
+      return { inputTokens: result.usage.prompt_tokens || 0, outputTokens: result.usage.completion_tokens || 0 };
+    }
+    return null;
+  }
+};
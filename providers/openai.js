@@ -0,0 +1,96 @@
+const { ErrorCodes, ToolError } = require('../utils/errors');
+
+/**
+ * OpenAI provider adapter
+ * Uses the chat completions endpoint directly with data URI images
+ */
+module.exports = {
+  name: 'openai',
+  displayName: 'OpenAI',
+  defaultModel: 'gpt-4o',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  env: {
+    apiKey: 'OPENAI_API_KEY',
+    model: 'OPENAI_MODEL',
+    maxDimension: 'OPENAI_MAX_DIMENSION',
+    timeout: 'OPENAI_TIMEOUT_MS',
+    baseUrl: 'OPENAI_BASE_URL'
+  },
+  capabilities: {
+    requiresApiKey: true,
+    multipleImages: true,
+    structuredOutput: true,
+    maxImageDimension: 2048,
+    acceptedImageFormats: ['jpeg', 'png', 'webp', 'gif']
+  },
+
+  /**
+   * Build the HTTP request for an analysis
+   * @param {string} prompt - Analysis prompt
+   * @param {Object[]} images - Images as { base64, mimeType }
+   * @param {Object} config - Resolved provider configuration
+   * @param {Object} [options] - { outputSchema } JSON Schema the reply must conform to
+   * @returns {Object} - { url, headers, body }
+   */
+  buildRequest(prompt, images, config, options = {}) {
+    const content = [{ type: 'text', text: prompt }];
+    for (const image of images) {
+      content.push({
+        type: 'image_url',
+        image_url: {
+          url: `data:${image.mimeType};base64,${image.base64}`,
+          detail: 'high'
+        }
+      });
+    }
+
+    const body = {
+      model: config.model,
+      messages: [{ role: 'user', content }]
+    };
+    if (options.outputSchema) {
+      // strict mode would require additionalProperties: false throughout the schema
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'output', strict: false, schema: options.outputSchema }
+      };
+    }
+
+    // OPENAI_BASE_URL allows proxies and gateways
+    const baseUrl = config.baseUrl.replace(/\/+$/, '');
+
+    return {
+      url: `${baseUrl}/chat/completions`,
+      headers: {
+        'Authorization': `Bearer ${config.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body
+    };
+  },
+
+  /**
+   * Extract the generated text from a response body
+   * @param {Object} result - Parsed JSON response
+   * @returns {string} - Generated text
+   * @throws {ToolError} - PROVIDER_ERROR if no choice was returned
+   */
+  parseResponse(result) {
+    if (result.choices && result.choices.length > 0) {
+      return result.choices[0].message.content;
+    }
+    throw new ToolError(ErrorCodes.PROVIDER_ERROR, 'No response generated by OpenAI API', { provider: 'openai' });
+  },
+
+  /**
+   * Extract the token counts from a response body
+   * @param {Object} result - Parsed JSON response
+   * @returns {Object|null} - { inputTokens, outputTokens }, or null if the response reports no usage
+   */
+  parseUsage(result) {
+    if (!result.usage) {
+      return null;
+    }
+    return { inputTokens: result.usage.prompt_tokens || 0, outputTokens: result.usage.completion_tokens || 0 };
+  }
+};
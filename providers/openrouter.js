@@ -0,0 +1,113 @@
+const { ErrorCodes, ToolError } = require('../utils/errors');
+
+/**
+ * OpenRouter provider adapter
+ * Uses the OpenAI-compatible chat completions endpoint with data URI images,
+ * streaming server-sent events when requested
+ */
+module.exports = {
+  name: 'openrouter',
+  displayName: 'OpenRouter',
+  defaultModel: 'x-ai/grok-4-fast:free',
+  env: {
+    apiKey: 'OPENROUTER_API_KEY',
+    model: 'OPENROUTER_MODEL',
+    maxDimension: 'OPENROUTER_MAX_DIMENSION',
+    timeout: 'OPENROUTER_TIMEOUT_MS'
+  },
+  capabilities: {
+    requiresApiKey: true,
+    multipleImages: true,
+    structuredOutput: true,
+    streaming: true,
+    maxImageDimension: 2048,
+    acceptedImageFormats: ['jpeg', 'png', 'webp', 'gif']
+  },
+
+  /**
+   * Build the HTTP request for an analysis
+   * @param {string} prompt - Analysis prompt
+   * @param {Object[]} images - Images as { base64, mimeType }
+   * @param {Object} config - Resolved provider configuration
+   * @param {Object} [options] - { outputSchema, stream }: JSON Schema the reply must conform to, and whether to stream
+   * @returns {Object} - { url, headers, body }
+   */
+  buildRequest(prompt, images, config, options = {}) {
+    const content = [{ type: 'text', text: prompt }];
+    for (const image of images) {
+      content.push({
+        type: 'image_url',
+        image_url: {
+          url: `data:${image.mimeType};base64,${image.base64}`
+        }
+      });
+    }
+
+    const body = {
+      model: config.model,
+      messages: [{ role: 'user', content }]
+    };
+    if (options.outputSchema) {
+      // strict mode would require additionalProperties: false throughout the schema
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'output', strict: false, schema: options.outputSchema }
+      };
+    }
+    if (options.stream) {
+      body.stream = true;
+      // The token counts arrive in a final chunk
+      body.stream_options = { include_usage: true };
+    }
+
+    return {
+      url: 'https://openrouter.ai/api/v1/chat/completions',
+      headers: {
+        'Authorization': `Bearer ${config.apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': 'https://kilocode.ai',
+        'X-Title': 'Kilo Code Enhanced MCP Server'
+      },
+      body
+    };
+  },
+
+  /**
+   * Extract the generated text from a response body
+   * @param {Object} result - Parsed JSON response
+   * @returns {string} - Generated text
+   * @throws {ToolError} - PROVIDER_ERROR if no choice was returned
+   */
+  parseResponse(result) {
+    if (result.choices && result.choices.length > 0) {
+      return result.choices[0].message.content;
+    }
+    throw new ToolError(ErrorCodes.PROVIDER_ERROR, 'No response generated by OpenRouter API', { provider: 'openrouter' });
+  },
+
+  /**
+   * Extract the token counts from a response body or the final streamed chunk
+   * @param {Object} result - Parsed JSON response or stream event
+   * @returns {Object|null} - { inputTokens, outputTokens }, or null if the response reports no usage
+   */
+  parseUsage(result) {
+    if (!result.usage) {
+      return null;
+    }
+    return { inputTokens: result.usage.prompt_tokens || 0, outputTokens: result.usage.completion_tokens || 0 };
+  },
+
+  /**
+   * Extract the text added by one streamed event
+   * @param {Object} event - Parsed JSON of a server-sent event (a chat completion chunk)
+   * @returns {string} - Text delta, empty if the event carries none
+   * @throws {ToolError} - PROVIDER_ERROR if the stream reports an error
+   */
+  parseStreamEvent(event) {
+    if (event.error) {
+      throw new ToolError(ErrorCodes.PROVIDER_ERROR, `OpenRouter API error: ${event.error.message || JSON.stringify(event.error)}`, { provider: 'openrouter', status: event.error.code });
+    }
+    const choice = event.choices && event.choices[0];
+    return choice && choice.delta && typeof choice.delta.content === 'string' ? choice.delta.content : '';
+  }
+};
@@ -0,0 +1,213 @@
+const path = require('path');
+const { ErrorCodes, ToolError } = require('../utils/errors');
+
+/**
+ * A provider adapter describes one vision backend.
+ * @typedef {Object} ProviderAdapter
+ * @property {string} name - Identifier used in the `provider` tool argument
+ * @property {string} [displayName] - Human readable name used in messages
+ * @property {string} [defaultModel] - Model used when neither the call nor the environment sets one
+ * @property {string} [defaultBaseUrl] - API base URL used when env.baseUrl is not set
+ * @property {Object} [env] - Environment variable names: { apiKey, model, maxDimension, timeout, baseUrl }
+ * @property {Object} [capabilities] - Capability flags: { requiresApiKey, multipleImages, structuredOutput, streaming, maxImageDimension, acceptedImageFormats }
+ * @property {Function} [isAvailable] - () => boolean, whether the provider can be auto-detected
+ * @property {Function} [resolveConfig] - (model) => config, overrides the environment based resolution
+ * @property {Function} buildRequest - (prompt, images, config, options) => { url, headers, body }; options.outputSchema
+ *   is set when the caller wants JSON conforming to a schema (used by adapters with structuredOutput), and
+ *   options.stream when the reply should be streamed as server-sent events (adapters with streaming)
+ * @property {Function} parseResponse - (result, config) => string
+ * @property {Function} [parseStreamEvent] - (event, config) => string, the text delta of one parsed SSE event; required with streaming
+ * @property {Function} [parseUsage] - (result, config) => { inputTokens, outputTokens } | null, the token counts of a response
+ *   body or of a parsed SSE event (the last event that reports usage wins)
+ */
+
+/**
+ * Provider Registry Module
+ * Holds the built-in and third-party provider adapters and resolves their configuration
+ */
+class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+    // Per-request timeout used when a provider has no <PROVIDER>_TIMEOUT_MS override
+    this.defaultTimeoutMs = parseInt(process.env.REQUEST_TIMEOUT_MS, 10) || 120000;
+    this.defaultCapabilities = {
+      requiresApiKey: true,
+      multipleImages: false,
+      structuredOutput: false,
+      streaming: false,
+      maxImageDimension: 2048,
+      acceptedImageFormats: ['jpeg', 'png', 'webp']
+    };
+  }
+
+  /**
+   * Register a provider adapter (later registrations replace earlier ones with the same name)
+   * @param {ProviderAdapter} adapter - Provider adapter
+   * @returns {ProviderRegistry} - This registry
+   * @throws {ToolError} - CONFIGURATION_ERROR if the adapter is malformed
+   */
+  register(adapter) {
+    if (!adapter || typeof adapter !== 'object') {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'Provider adapter must be an object');
+    }
+    if (typeof adapter.name !== 'string' || !/^[a-z][\w-]*$/.test(adapter.name)) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Invalid provider adapter name: ${adapter.name}`);
+    }
+    for (const method of ['buildRequest', 'parseResponse']) {
+      if (typeof adapter[method] !== 'function') {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Provider adapter "${adapter.name}" must implement ${method}()`);
+      }
+    }
+    if (adapter.capabilities && adapter.capabilities.streaming && typeof adapter.parseStreamEvent !== 'function') {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Provider adapter "${adapter.name}" declares streaming but does not implement parseStreamEvent()`);
+    }
+
+    this.adapters.set(adapter.name, {
+      displayName: adapter.name,
+      env: {},
+      ...adapter,
+      capabilities: { ...this.defaultCapabilities, ...adapter.capabilities }
+    });
+    return this;
+  }
+
+  /**
+   * Load third-party adapters listed in the configuration file
+   * @param {Array<string|Object>} entries - Module paths, or { module, options } objects
+   * @param {string} baseDir - Directory relative module paths are resolved from
+   * @throws {ToolError} - CONFIGURATION_ERROR if a module cannot be loaded
+   */
+  loadAdapters(entries, baseDir) {
+    if (!Array.isArray(entries)) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'providers must be an array in the configuration file');
+    }
+
+    for (const entry of entries) {
+      const { module: modulePath, options = {} } = typeof entry === 'string' ? { module: entry } : entry || {};
+      if (typeof modulePath !== 'string') {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'Each provider entry needs a module path');
+      }
+
+      let exported;
+      try {
+        const resolved = modulePath.startsWith('.') || path.isAbsolute(modulePath)
+          ? path.resolve(baseDir, modulePath)
+          : require.resolve(modulePath, { paths: [baseDir] });
+        exported = require(resolved);
+      } catch (error) {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Failed to load provider module ${modulePath}: ${error.message}`);
+      }
+
+      // Modules may export an adapter or a factory that receives the entry's options
+      this.register(typeof exported === 'function' ? exported(options) : exported);
+    }
+  }
+
+  /**
+   * Get a registered adapter
+   * @param {string} name - Provider name
+   * @returns {ProviderAdapter} - Adapter
+   * @throws {ToolError} - INVALID_PROVIDER if no adapter has that name
+   */
+  get(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) {
+      throw new ToolError(ErrorCodes.INVALID_PROVIDER, `Invalid provider: ${name}. Valid providers: ${this.names().join(', ')}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * List registered provider names in registration (auto-detection) order
+   * @returns {string[]} - Provider names
+   */
+  names() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Check whether a provider can be used with the current environment
+   * @param {ProviderAdapter} adapter - Adapter
+   * @returns {boolean} - True if available
+   */
+  isAvailable(adapter) {
+    if (typeof adapter.isAvailable === 'function') {
+      return adapter.isAvailable();
+    }
+    if (adapter.capabilities.requiresApiKey) {
+      return Boolean(adapter.env.apiKey && process.env[adapter.env.apiKey]);
+    }
+    // Keyless providers (e.g. local servers) are available once their endpoint is configured
+    return !adapter.env.baseUrl || Boolean(process.env[adapter.env.baseUrl]);
+  }
+
+  /**
+   * List the providers usable with the current environment, in auto-detection order
+   * @returns {string[]} - Provider names
+   */
+  available() {
+    return Array.from(this.adapters.values())
+      .filter(adapter => this.isAvailable(adapter))
+      .map(adapter => adapter.name);
+  }
+
+  /**
+   * Detect the first available provider
+   * @returns {string} - Provider name
+   * @throws {ToolError} - MISSING_API_KEY if no provider is configured
+   */
+  detect() {
+    const [name] = this.available();
+    if (name) {
+      console.error(`Detected ${this.get(name).displayName} configuration, using ${name} provider`);
+      return name;
+    }
+
+    const variables = Array.from(this.adapters.values())
+      .map(adapter => (adapter.capabilities.requiresApiKey ? adapter.env.apiKey : adapter.env.baseUrl))
+      .filter(Boolean);
+    throw new ToolError(ErrorCodes.MISSING_API_KEY, `No API keys found. Please set one of: ${variables.join(', ')}`);
+  }
+
+  /**
+   * Resolve the configuration for a provider from the environment. The model is, in order: the
+   * override, the provider's model variable (e.g. GEMINI_MODEL), the preferred model, the adapter default.
+   * @param {string} name - Provider name
+   * @param {string} [model] - Model override
+   * @param {string} [preferredModel] - Model suggested by the call (e.g. a preset's recommendation), used only
+   *   when the operator did not choose one
+   * @returns {Object} - { provider, apiKey, model, baseUrl, timeoutMs, maxImageDimension, acceptedImageFormats, capabilities }
+   * @throws {ToolError} - MISSING_API_KEY if the provider's key is not set
+   */
+  resolveConfig(name, model = null, preferredModel = null) {
+    const adapter = this.get(name);
+    const { env, capabilities } = adapter;
+    const envModel = (env.model && process.env[env.model]) || null;
+
+    const base = {
+      provider: adapter.name,
+      baseUrl: (env.baseUrl && process.env[env.baseUrl]) || adapter.defaultBaseUrl,
+      timeoutMs: (env.timeout && parseInt(process.env[env.timeout], 10)) || this.defaultTimeoutMs,
+      maxImageDimension: (env.maxDimension && parseInt(process.env[env.maxDimension], 10)) || capabilities.maxImageDimension,
+      acceptedImageFormats: capabilities.acceptedImageFormats,
+      capabilities
+    };
+
+    if (typeof adapter.resolveConfig === 'function') {
+      return { ...base, ...adapter.resolveConfig(model || (envModel ? null : preferredModel)) };
+    }
+
+    const apiKey = env.apiKey ? process.env[env.apiKey] : undefined;
+    if (capabilities.requiresApiKey && !apiKey) {
+      throw new ToolError(ErrorCodes.MISSING_API_KEY, `${env.apiKey || 'An API key'} environment variable is required for ${adapter.displayName} provider`);
+    }
+
+    return {
+      ...base,
+      apiKey,
+      model: model || envModel || preferredModel || adapter.defaultModel
+    };
+  }
+}
+
+module.exports = ProviderRegistry;
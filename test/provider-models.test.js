@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Model Precedence Test
+ * Checks the order ProviderRegistry#resolveConfig picks a model in: the caller's model,
+ * then <PROVIDER>_MODEL, then a preset's recommended model, then the adapter default
+ */
+
+const assert = require('assert');
+const ProviderRegistry = require('../providers/registry');
+
+const registry = new ProviderRegistry().register(require('../providers/gemini'));
+const saved = { GEMINI_API_KEY: process.env.GEMINI_API_KEY, GEMINI_MODEL: process.env.GEMINI_MODEL };
+
+/**
+ * Resolve the gemini model with GEMINI_MODEL set or unset
+ * @param {string|undefined} envModel - Value of GEMINI_MODEL, or undefined to unset it
+ * @param {string} [model] - Model requested by the caller
+ * @param {string} [preferredModel] - Model recommended by a preset
+ * @returns {string} - Resolved model
+ */
+function resolveModel(envModel, model, preferredModel) {
+  if (envModel === undefined) {
+    delete process.env.GEMINI_MODEL;
+  } else {
+    process.env.GEMINI_MODEL = envModel;
+  }
+  return registry.resolveConfig('gemini', model, preferredModel).model;
+}
+
+process.env.GEMINI_API_KEY = 'test-key';
+try {
+  const defaultModel = registry.get('gemini').defaultModel;
+
+  assert.strictEqual(resolveModel(undefined, null, null), defaultModel, 'adapter default without any choice');
+  assert.strictEqual(resolveModel(undefined, null, 'preset-model'), 'preset-model', 'preset model without GEMINI_MODEL');
+  assert.strictEqual(resolveModel('env-model', null, 'preset-model'), 'env-model', 'GEMINI_MODEL over the preset model');
+  assert.strictEqual(resolveModel('env-model', 'caller-model', 'preset-model'), 'caller-model', 'caller model over everything');
+  assert.strictEqual(resolveModel(undefined, 'caller-model', 'preset-model'), 'caller-model', 'caller model over the preset model');
+
+  console.log('✅ Model precedence: caller, <PROVIDER>_MODEL, preset, default');
+} finally {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+}
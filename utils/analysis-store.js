@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Analysis Store Module
+ * Keeps the analyses made during the session so they can be read back as MCP resources
+ * (glm-image://analysis/<id>) without calling the provider again
+ */
+class AnalysisStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxEntries] - Analyses kept before the oldest are dropped (ANALYSIS_HISTORY_LIMIT)
+   */
+  constructor(options = {}) {
+    this.uriPrefix = 'glm-image://analysis/';
+    this.maxEntries = options.maxEntries || parseInt(process.env.ANALYSIS_HISTORY_LIMIT, 10) || 200;
+    this.entries = new Map();
+  }
+
+  /**
+   * Store an analysis
+   * @param {Object} analysis - { tool, images, prompt, provider, model, output, structured, metadata } where
+   *   images are the loaded input images as { source, buffer }
+   * @returns {Object} - Stored record, including its id and uri
+   */
+  add(analysis) {
+    const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const record = {
+      id,
+      uri: `${this.uriPrefix}${id}`,
+      tool: analysis.tool,
+      createdAt: new Date().toISOString(),
+      images: analysis.images.map(image => ({ ...image.source, sha256: crypto.createHash('sha256').update(image.buffer).digest('hex') })),
+      prompt: analysis.prompt || null,
+      provider: analysis.provider || null,
+      model: analysis.model || null,
+      output: analysis.output,
+      structured: analysis.structured === undefined ? null : analysis.structured,
+      metadata: analysis.metadata || {}
+    };
+
+    this.entries.set(id, record);
+    // Map iteration follows insertion order, so the first key is the oldest analysis
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return record;
+  }
+
+  /**
+   * List stored analyses as MCP resources, newest first
+   * @returns {Object[]} - Resources as { uri, name, description, mimeType }
+   */
+  list() {
+    return Array.from(this.entries.values()).reverse().map(record => {
+      const images = record.images.map(image => (image.type === 'path' ? image.path.split(/[\\/]/).pop() : image.url || 'base64 image')).join(', ');
+      const summary = record.prompt ? `: ${record.prompt.length > 100 ? `${record.prompt.slice(0, 97)}...` : record.prompt}` : '';
+      return {
+        uri: record.uri,
+        name: `${record.tool} ${images}`,
+        description: `${record.createdAt} ${record.provider ? `${record.provider}/${record.model}` : 'local'}${summary}`,
+        mimeType: 'application/json'
+      };
+    });
+  }
+
+  /**
+   * Read a stored analysis
+   * @param {string} uri - Resource URI
+   * @returns {Object} - Stored record
+   * @throws {ToolError} - INVALID_ARGUMENTS if no analysis has that URI
+   */
+  read(uri) {
+    const record = typeof uri === 'string' && uri.startsWith(this.uriPrefix)
+      ? this.entries.get(uri.slice(this.uriPrefix.length))
+      : undefined;
+    if (!record) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Analysis not found: ${uri}`, { uri });
+    }
+    return record;
+  }
+}
+
+module.exports = AnalysisStore;
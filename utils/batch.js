@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Batch Module
+ * Finds the images of a directory or glob pattern, runs one analysis per image with bounded
+ * concurrency and renders the results as a Markdown table, JSON or CSV
+ */
+class ImageBatch {
+  /**
+   * @param {ValidationUtils} validator - Validator used for the directory checks and image extensions
+   */
+  constructor(validator) {
+    this.validator = validator;
+    this.defaultConcurrency = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+    this.maxConcurrency = 8;
+    this.defaultMaxImages = 100;
+    this.csvColumns = ['image', 'status', 'provider', 'model', 'cached', 'input_tokens', 'output_tokens', 'cost', 'latency_ms', 'text', 'error'];
+  }
+
+  /**
+   * Find the images a directory or glob pattern refers to. Patterns support *, ?, ** and {a,b};
+   * hidden files and directories are skipped and symlinked directories are not followed.
+   * @param {string} pattern - Directory, or glob pattern with / as the separator
+   * @param {Object} [options] - { recursive, maxImages }: list subdirectories of a plain directory, and the most images accepted
+   * @returns {Object} - { baseDir, files } with absolute file paths in name order
+   * @throws {ToolError} - IMAGE_NOT_FOUND or ACCESS_DENIED for the base directory, INVALID_ARGUMENTS if nothing or too much matches
+   */
+  findImages(pattern, options = {}) {
+    const maxImages = options.maxImages || this.defaultMaxImages;
+    // Backslashes are separators on Windows only; elsewhere they may appear in file names
+    const segments = (path.sep === '\\' ? pattern.replace(/\\/g, '/') : pattern).split('/');
+    const firstWildcard = segments.findIndex(segment => /[*?{]/.test(segment));
+
+    let baseDir;
+    let matcher = null;
+    let maxDepth;
+    if (firstWildcard === -1) {
+      baseDir = this.validator.validateDirectory(pattern, 'path');
+      maxDepth = options.recursive ? Infinity : 1;
+    } else {
+      const base = segments.slice(0, firstWildcard).join('/');
+      const rest = segments.slice(firstWildcard).join('/');
+      baseDir = this.validator.validateDirectory(base || (firstWildcard === 0 ? '.' : '/'), 'path');
+      matcher = new RegExp(`^${this.globSource(rest)}$`, path.sep === '\\' ? 'i' : '');
+      maxDepth = rest.includes('**') ? Infinity : rest.split('/').length;
+    }
+
+    const files = this.walk(baseDir, maxDepth)
+      .filter(relative => !matcher || matcher.test(relative))
+      .filter(relative => this.validator.supportedImageFormats.includes(path.extname(relative).toLowerCase()))
+      .map(relative => path.join(baseDir, relative));
+
+    if (files.length === 0) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `No images found for ${pattern} (supported formats: ${this.validator.supportedImageFormats.join(', ')})`, { argument: 'path' });
+    }
+    if (files.length > maxImages) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `${pattern} matches ${files.length} images (max: ${maxImages}). Narrow the pattern or raise max_images`, { argument: 'path', images: files.length });
+    }
+    return { baseDir, files };
+  }
+
+  /**
+   * Translate a glob pattern to a regular expression source
+   * @param {string} pattern - Glob pattern relative to the base directory
+   * @returns {string} - Regular expression source matching relative paths with / separators
+   */
+  globSource(pattern) {
+    let source = '';
+    for (let index = 0; index < pattern.length; index++) {
+      const char = pattern[index];
+      if (char === '*' && pattern[index + 1] === '*') {
+        // "**/" matches any number of directories, including none
+        if (pattern[index + 2] === '/') {
+          source += '(?:[^/]+/)*';
+          index += 2;
+        } else {
+          source += '.*';
+          index += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{' && pattern.indexOf('}', index) !== -1) {
+        const end = pattern.indexOf('}', index);
+        source += `(?:${pattern.slice(index + 1, end).split(',').map(option => this.globSource(option)).join('|')})`;
+        index = end;
+      } else {
+        source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+      }
+    }
+    return source;
+  }
+
+  /**
+   * List the files below a directory
+   * @param {string} directory - Directory to list
+   * @param {number} maxDepth - Directory levels to descend (1 lists only the directory itself)
+   * @param {string} [prefix] - Relative path of directory from the base directory
+   * @returns {string[]} - File paths relative to the base directory, with / separators
+   */
+  walk(directory, maxDepth, prefix = '') {
+    const files = [];
+    const entries = fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const fullPath = path.join(directory, entry.name);
+      // Links to files are listed (the per-image checks still apply to their targets); links to directories are not followed
+      const target = entry.isSymbolicLink() ? fs.statSync(fullPath, { throwIfNoEntry: false }) : null;
+      if (entry.isDirectory()) {
+        if (maxDepth > 1) {
+          files.push(...this.walk(fullPath, maxDepth - 1, relative));
+        }
+      } else if (entry.isFile() || (target && target.isFile())) {
+        files.push(relative);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Run a task for each item with at most `concurrency` tasks in flight. When a task throws,
+   * no further tasks are started, the tasks already running are awaited, and the first error
+   * is passed on, so nothing keeps running after the batch has ended.
+   * @param {Array} items - Items to process
+   * @param {number} concurrency - Largest number of tasks running at once
+   * @param {Function} task - async (item, index) => void
+   * @returns {Promise<void>}
+   * @throws {Error} - The first error a task threw
+   */
+  async run(items, concurrency, task) {
+    let next = 0;
+    let stopped = false;
+    const lane = async () => {
+      while (!stopped && next < items.length) {
+        const index = next++;
+        try {
+          await task(items[index], index);
+        } catch (error) {
+          stopped = true;
+          throw error;
+        }
+      }
+    };
+    const outcomes = await Promise.allSettled(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+    const failure = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+  }
+
+  /**
+   * Describe the outcome of one image
+   * @param {Object} result - Batch result
+   * @returns {string} - 'ok', 'skipped' or the error code
+   */
+  status(result) {
+    return result.ok ? 'ok' : result.skipped ? 'skipped' : result.error.code;
+  }
+
+  /**
+   * Render results as a Markdown table
+   * @param {Object[]} results - Batch results as { image, ok, skipped, text, error }
+   * @returns {string} - Table
+   */
+  renderTable(results) {
+    const cell = value => String(value).replace(/\s*\r?\n\s*/g, ' ').replace(/\|/g, '\\|');
+    const rows = results.map((result, index) => `| ${index + 1} | ${cell(result.image)} | ${this.status(result)} | ${cell(result.ok ? result.text : result.error.message)} |`);
+    return ['| # | Image | Status | Result |', '|---|-------|--------|--------|', ...rows].join('\n');
+  }
+
+  /**
+   * Render results as CSV (RFC 4180, one row per image)
+   * @param {Object[]} results - Batch results
+   * @returns {string} - CSV document with a header row
+   */
+  renderCsv(results) {
+    const field = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = results.map(result => [
+      result.image,
+      this.status(result),
+      result.provider,
+      result.model,
+      result.cached,
+      result.usage && result.usage.inputTokens,
+      result.usage && result.usage.outputTokens,
+      result.usage && result.usage.cost,
+      result.usage && result.usage.latencyMs,
+      result.text,
+      result.error && result.error.message
+    ].map(field).join(','));
+    return `${[this.csvColumns.join(','), ...rows].join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = ImageBatch;
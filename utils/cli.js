@@ -0,0 +1,243 @@
+const fs = require('fs');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Command Line Module
+ * Maps subcommands such as `glm-image-mcp analyze <image> --prompt ...` onto the MCP tools.
+ * Options are derived from each tool's inputSchema (--focus-area for focus_area), so the
+ * command line accepts exactly what the tools accept.
+ */
+class CommandLine {
+  /**
+   * @param {Object[]} tools - MCP tool definitions ({ name, description, inputSchema })
+   */
+  constructor(tools) {
+    this.tools = tools;
+    // positional: the argument the command's operands fill; 'image' is image_path, image_url or image_base64
+    this.commands = {
+      analyze: { tool: 'analyze_image', positional: 'image', usage: 'analyze <image> --prompt <text>' },
+      describe: { tool: 'describe_image', positional: 'image', usage: 'describe <image>' },
+      focused: { tool: 'focused_analyze_image', positional: 'image', usage: 'focused <image> --focus <area>' },
+      compare: { tool: 'compare_images', positional: 'image_paths', usage: 'compare <image> <image>... --prompt <text>' },
+      'extract-text': { tool: 'extract_text', positional: 'image', usage: 'extract-text <image>' },
+      detect: { tool: 'detect_objects', positional: 'image', usage: 'detect <image>' },
+      diff: { tool: 'diff_images', positional: ['before_path', 'after_path'], usage: 'diff <before> <after>' },
+      batch: { tool: 'analyze_batch', positional: 'path', usage: 'batch <directory|glob> --prompt <text>' }
+    };
+    this.aliases = { focus: 'focus_area', schema: 'output_schema' };
+    this.imageArguments = ['image_path', 'image_url', 'image_base64'];
+    this.flags = {
+      json: 'Print the tool result as JSON',
+      progress: 'Print progress updates to stderr',
+      help: 'Show help'
+    };
+  }
+
+  /**
+   * Parse the command line arguments
+   * @param {string[]} argv - Arguments after the executable and script (process.argv.slice(2))
+   * @returns {Object} - { command, tool, args, json, progress, help, stdin } where stdin names the argument to
+   *   fill from standard input ("-" as the image)
+   * @throws {ToolError} - INVALID_ARGUMENTS for an unknown command or option, or a malformed value
+   */
+  parse(argv) {
+    const [command, ...rest] = argv;
+    const parsed = { command, tool: null, args: {}, json: false, progress: false, help: false, stdin: null };
+    if (!command || command === '--help' || command === '-h' || command === 'help') {
+      return { ...parsed, command: null, help: true };
+    }
+
+    const definition = this.commands[command];
+    if (!definition) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Unknown command: ${command}. Commands: ${Object.keys(this.commands).join(', ')}`, { argument: 'command' });
+    }
+    parsed.tool = definition.tool;
+    const { properties } = this.tools.find(tool => tool.name === definition.tool).inputSchema;
+
+    const operands = [];
+    for (let index = 0; index < rest.length; index++) {
+      const token = rest[index];
+      if (token === '--') {
+        operands.push(...rest.slice(index + 1));
+        break;
+      }
+      if (token === '-h') {
+        parsed.help = true;
+        continue;
+      }
+      if (!token.startsWith('--')) {
+        operands.push(token);
+        continue;
+      }
+
+      // --name=value or --name value; booleans take no value
+      const [flag, inlineValue] = token.slice(2).split(/=(.*)/s);
+      if (Object.prototype.hasOwnProperty.call(this.flags, flag)) {
+        parsed[flag] = true;
+        continue;
+      }
+      const name = this.aliases[flag] || flag.replace(/-/g, '_');
+      const schema = properties[name];
+      // The image is always the operand, so it cannot be given twice
+      if (!schema || this.imageArguments.includes(name)) {
+        throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Unknown option --${flag} for ${command}. See glm-image-mcp ${command} --help`, { argument: flag });
+      }
+      if (schema.type === 'boolean' && inlineValue === undefined) {
+        parsed.args[name] = true;
+        continue;
+      }
+      const value = inlineValue !== undefined ? inlineValue : rest[++index];
+      if (value === undefined) {
+        throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Option --${flag} needs a value`, { argument: flag });
+      }
+      parsed.args[name] = this.coerce(name, value, schema, parsed.args[name]);
+    }
+
+    if (parsed.help) {
+      return parsed;
+    }
+    this.assignOperands(parsed, definition, operands);
+    return parsed;
+  }
+
+  /**
+   * Fill the command's positional arguments from the operands
+   * @param {Object} parsed - Parse result being built
+   * @param {Object} definition - Command definition
+   * @param {string[]} operands - Arguments that are not options
+   * @throws {ToolError} - INVALID_ARGUMENTS if the number of operands is wrong
+   */
+  assignOperands(parsed, definition, operands) {
+    const { positional } = definition;
+    const expected = Array.isArray(positional) ? positional.length : positional === 'image_paths' ? null : 1;
+    if (expected !== null && operands.length !== expected) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Usage: glm-image-mcp ${definition.usage}`, { argument: 'operands' });
+    }
+
+    if (Array.isArray(positional)) {
+      positional.forEach((name, index) => {
+        parsed.args[name] = operands[index];
+      });
+    } else if (positional === 'image_paths') {
+      parsed.args.image_paths = operands;
+    } else if (positional === 'image') {
+      const [image] = operands;
+      if (image === '-') {
+        parsed.stdin = 'image_base64';
+      } else if (/^https?:\/\//i.test(image)) {
+        parsed.args.image_url = image;
+      } else if (/^data:/i.test(image)) {
+        parsed.args.image_base64 = image;
+      } else {
+        parsed.args.image_path = image;
+      }
+    } else {
+      parsed.args[positional] = operands[0];
+    }
+  }
+
+  /**
+   * Convert an option value to the type its schema declares
+   * @param {string} name - Argument name
+   * @param {string} value - Value from the command line
+   * @param {Object} schema - The argument's JSON Schema
+   * @param {*} [previous] - Value of an earlier occurrence; arrays accumulate over repeated options
+   * @returns {*} - Converted value (the tool's inputSchema validation reports remaining problems)
+   * @throws {ToolError} - INVALID_ARGUMENTS if JSON cannot be parsed or read
+   */
+  coerce(name, value, schema, previous) {
+    if (schema.type === 'integer' || schema.type === 'number') {
+      const number = Number(value);
+      return value.trim() === '' || Number.isNaN(number) ? value : number;
+    }
+    if (schema.type === 'boolean') {
+      return value === 'true' ? true : value === 'false' ? false : value;
+    }
+    if (schema.type === 'array') {
+      return [...(previous || []), ...value.split(',').map(item => item.trim()).filter(Boolean)];
+    }
+    // Objects (and string-or-object arguments such as region) may be given as JSON, or objects as a JSON file
+    if (schema.type === 'object' || (!schema.type && /^\s*[{[]/.test(value))) {
+      const text = /^\s*[{[]/.test(value) ? value : this.readFile(value, name);
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `--${name.replace(/_/g, '-')} is not valid JSON: ${error.message}`, { argument: name });
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Read a JSON option from a file
+   * @param {string} filePath - File path
+   * @param {string} name - Argument name used in error messages
+   * @returns {string} - File contents
+   * @throws {ToolError} - INVALID_ARGUMENTS if the file cannot be read
+   */
+  readFile(filePath, name) {
+    try {
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Cannot read --${name.replace(/_/g, '-')} file ${filePath}: ${error.message}`, { argument: name });
+    }
+  }
+
+  /**
+   * Build the help text
+   * @param {string} [command] - Command to describe; the overview if omitted
+   * @returns {string} - Help text
+   */
+  help(command) {
+    const definition = command && this.commands[command];
+    if (!definition) {
+      const width = Math.max(...Object.keys(this.commands).map(name => name.length));
+      return [
+        'Usage: glm-image-mcp [serve]              Start the MCP server on stdio',
+        '       glm-image-mcp <command> [options]  Run one analysis and print the result',
+        '',
+        'Commands:',
+        ...Object.entries(this.commands).map(([name, { tool }]) => `  ${name.padEnd(width)}  ${this.tools.find(candidate => candidate.name === tool).description}`),
+        '',
+        'An <image> is a file path, an http(s) URL, a data URI or "-" to read the image from stdin.',
+        'Run glm-image-mcp <command> --help for the options of a command.'
+      ].join('\n');
+    }
+
+    const { properties, required = [] } = this.tools.find(tool => tool.name === definition.tool).inputSchema;
+    const positional = [].concat(definition.positional);
+    const optionName = name => Object.keys(this.aliases).find(alias => this.aliases[alias] === name) || name.replace(/_/g, '-');
+    const options = Object.entries(properties)
+      .filter(([name]) => !positional.includes(name) && !this.imageArguments.includes(name))
+      .map(([name, schema]) => {
+        // Long enums (such as the presets) are listed in the description instead
+        const value = schema.type === 'boolean' ? '' : schema.enum && schema.enum.length <= 5 ? ` <${schema.enum.join('|')}>` : ` <${schema.type || 'value'}>`;
+        return [`--${optionName(name)}${value}`, `${required.includes(name) ? '(required) ' : ''}${schema.description || ''}`];
+      })
+      .concat(Object.entries(this.flags).map(([flag, description]) => [`--${flag}`, description]));
+    const width = Math.max(...options.map(([option]) => option.length));
+
+    return [
+      `Usage: glm-image-mcp ${definition.usage} [options]`,
+      '',
+      'Options:',
+      ...options.map(([option, description]) => `  ${option.padEnd(width)}  ${description}`)
+    ].join('\n');
+  }
+
+  /**
+   * Render a tool result for standard output
+   * @param {Object} result - MCP tool result
+   * @param {boolean} json - Print the whole result as JSON instead of its text
+   * @returns {string} - Output, ending in a newline
+   */
+  render(result, json) {
+    if (json) {
+      return `${JSON.stringify(result, null, 2)}\n`;
+    }
+    const text = result.content.filter(item => item.type === 'text').map(item => item.text).join('\n\n');
+    return `${text}\n`;
+  }
+}
+
+module.exports = CommandLine;
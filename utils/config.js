@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Configuration File Module
+ * Loads the optional JSON configuration file named by GLM_IMAGE_MCP_CONFIG
+ */
+
+/**
+ * Load the configuration file
+ * @param {string} [filePath] - Path to the file (defaults to the GLM_IMAGE_MCP_CONFIG environment variable)
+ * @returns {Object} - { config, baseDir } where baseDir is used to resolve relative paths in the file
+ * @throws {ToolError} - CONFIGURATION_ERROR if the file cannot be read or parsed
+ */
+function loadConfig(filePath = process.env.GLM_IMAGE_MCP_CONFIG) {
+  if (!filePath) {
+    return { config: {}, baseDir: process.cwd() };
+  }
+
+  const resolvedPath = path.resolve(filePath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Failed to load configuration file ${resolvedPath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Configuration file ${resolvedPath} must contain a JSON object`);
+  }
+
+  return { config, baseDir: path.dirname(resolvedPath) };
+}
+
+module.exports = { loadConfig };
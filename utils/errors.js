@@ -0,0 +1,54 @@
+/**
+ * Error Module
+ * Structured errors returned to MCP clients with a stable error code
+ */
+const ErrorCodes = {
+  INVALID_ARGUMENTS: 'INVALID_ARGUMENTS',
+  UNKNOWN_TOOL: 'UNKNOWN_TOOL',
+  IMAGE_NOT_FOUND: 'IMAGE_NOT_FOUND',
+  IMAGE_TOO_LARGE: 'IMAGE_TOO_LARGE',
+  UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT',
+  INVALID_IMAGE: 'INVALID_IMAGE',
+  IMAGE_DOWNLOAD_FAILED: 'IMAGE_DOWNLOAD_FAILED',
+  ACCESS_DENIED: 'ACCESS_DENIED',
+  INVALID_PROMPT: 'INVALID_PROMPT',
+  INVALID_PROVIDER: 'INVALID_PROVIDER',
+  INVALID_MODEL: 'INVALID_MODEL',
+  MISSING_API_KEY: 'MISSING_API_KEY',
+  CONFIGURATION_ERROR: 'CONFIGURATION_ERROR',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+  INVALID_OUTPUT: 'INVALID_OUTPUT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+class ToolError extends Error {
+  /**
+   * @param {string} code - One of ErrorCodes
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra structured information (e.g. the offending argument)
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Serialize for the `_meta.error` field of a tool result
+   * @returns {Object} - { code, message, details }
+   */
+  toJSON() {
+    const json = { code: this.code, message: this.message };
+    if (this.details !== undefined) {
+      json.details = this.details;
+    }
+    return json;
+  }
+}
+
+module.exports = { ErrorCodes, ToolError };
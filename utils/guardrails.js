@@ -0,0 +1,221 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Guardrails Module
+ * Limits what a looping agent can spend: provider requests per minute, tokens and dollars per
+ * session and per day, and image bytes per call. Daily totals are kept in a state file so
+ * they survive restarts and are shared by every server using the same file.
+ */
+class Guardrails {
+  /**
+   * @param {Object} [options] - Limits from the configuration file ("limits"); each falls back to its environment variable
+   * @param {number} [options.callsPerMinute] - Provider requests per minute, counting every image, tile and retry (RATE_LIMIT_CALLS_PER_MINUTE)
+   * @param {number} [options.sessionTokens] - Tokens per server session (BUDGET_SESSION_TOKENS)
+   * @param {number} [options.sessionUsd] - Estimated dollars per server session (BUDGET_SESSION_USD)
+   * @param {number} [options.dailyTokens] - Tokens per UTC day (BUDGET_DAILY_TOKENS)
+   * @param {number} [options.dailyUsd] - Estimated dollars per UTC day (BUDGET_DAILY_USD)
+   * @param {number} [options.imageBytesPerCall] - Input image bytes per tool call (MAX_IMAGE_BYTES_PER_CALL)
+   * @param {string} [options.stateFile] - File the daily totals are kept in (BUDGET_STATE_FILE)
+   * @param {string} [baseDir] - Directory a relative stateFile is resolved against
+   * @throws {ToolError} - CONFIGURATION_ERROR if options is not an object or a limit is not a positive number
+   */
+  constructor(options = {}, baseDir = process.cwd()) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'limits must be an object in the configuration file');
+    }
+    const limit = (name, variable) => {
+      const value = options[name] !== undefined ? options[name] : process.env[variable] && Number(process.env[variable]);
+      if (value === undefined || value === '') {
+        return null;
+      }
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Invalid limit ${name} (${variable}): expected a positive number`);
+      }
+      return value;
+    };
+
+    this.limits = {
+      callsPerMinute: limit('callsPerMinute', 'RATE_LIMIT_CALLS_PER_MINUTE'),
+      sessionTokens: limit('sessionTokens', 'BUDGET_SESSION_TOKENS'),
+      sessionUsd: limit('sessionUsd', 'BUDGET_SESSION_USD'),
+      dailyTokens: limit('dailyTokens', 'BUDGET_DAILY_TOKENS'),
+      dailyUsd: limit('dailyUsd', 'BUDGET_DAILY_USD'),
+      imageBytesPerCall: limit('imageBytesPerCall', 'MAX_IMAGE_BYTES_PER_CALL')
+    };
+    this.stateFile = path.resolve(baseDir, options.stateFile || process.env.BUDGET_STATE_FILE
+      || path.join(process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), 'glm-image-mcp', 'budget.json'));
+
+    this.recentCalls = [];
+    this.session = { tokens: 0, cost: 0 };
+    this.day = { date: this.today(), tokens: 0, cost: 0 };
+  }
+
+  /**
+   * Check whether daily totals are kept on disk
+   * @returns {boolean} - True when a daily limit is set
+   */
+  get persistent() {
+    return this.limits.dailyTokens !== null || this.limits.dailyUsd !== null;
+  }
+
+  /**
+   * @returns {string} - Current UTC date as YYYY-MM-DD
+   */
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Read today's totals, from the state file when daily limits are set. An unreadable
+   * file is logged and the totals this process has seen are used instead.
+   * @returns {Object} - { date, tokens, cost }
+   */
+  readDay() {
+    const date = this.today();
+    if (this.persistent) {
+      try {
+        const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        this.day = state.date === date ? { date, tokens: state.tokens || 0, cost: state.cost || 0 } : { date, tokens: 0, cost: 0 };
+        return this.day;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Could not read budget state ${this.stateFile}: ${error.message}`);
+        }
+      }
+    }
+    if (this.day.date !== date) {
+      this.day = { date, tokens: 0, cost: 0 };
+    }
+    return this.day;
+  }
+
+  /**
+   * Start a tool call: refuse it up front if a budget is spent or the request rate is exhausted
+   * @throws {ToolError} - BUDGET_EXCEEDED or RATE_LIMITED
+   */
+  beginCall() {
+    this.checkBudget();
+    this.checkRate();
+  }
+
+  /**
+   * Start a provider request: refuse it if a budget is spent or the request rate is exhausted,
+   * otherwise count it against callsPerMinute
+   * @throws {ToolError} - BUDGET_EXCEEDED or RATE_LIMITED
+   */
+  beginRequest() {
+    this.checkBudget();
+    this.checkRate();
+    if (this.limits.callsPerMinute !== null) {
+      this.recentCalls.push(Date.now());
+    }
+  }
+
+  /**
+   * Refuse further provider requests once callsPerMinute requests went out in the last minute
+   * @throws {ToolError} - RATE_LIMITED
+   */
+  checkRate() {
+    const { callsPerMinute } = this.limits;
+    if (callsPerMinute === null) {
+      return;
+    }
+    const now = Date.now();
+    this.recentCalls = this.recentCalls.filter(time => now - time < 60000);
+    if (this.recentCalls.length >= callsPerMinute) {
+      const retryAfterMs = 60000 - (now - this.recentCalls[0]);
+      throw new ToolError(ErrorCodes.RATE_LIMITED, `Rate limit exceeded: at most ${callsPerMinute} provider requests per minute. Try again in ${Math.ceil(retryAfterMs / 1000)}s`, {
+        limit: 'callsPerMinute',
+        callsPerMinute,
+        retryAfterMs
+      });
+    }
+  }
+
+  /**
+   * Refuse further provider calls once a token or dollar budget is spent
+   * @throws {ToolError} - BUDGET_EXCEEDED
+   */
+  checkBudget() {
+    const { sessionTokens, sessionUsd, dailyTokens, dailyUsd } = this.limits;
+    const day = this.persistent ? this.readDay() : null;
+    const checks = [
+      ['sessionTokens', sessionTokens, this.session.tokens, `${sessionTokens} tokens per session`],
+      ['sessionUsd', sessionUsd, this.session.cost, `$${sessionUsd} per session`],
+      ['dailyTokens', dailyTokens, day && day.tokens, `${dailyTokens} tokens per day`],
+      ['dailyUsd', dailyUsd, day && day.cost, `$${dailyUsd} per day`]
+    ];
+
+    for (const [name, max, used, description] of checks) {
+      if (max !== null && used >= max) {
+        throw new ToolError(ErrorCodes.BUDGET_EXCEEDED, `Budget exceeded: ${description} (used ${name.endsWith('Usd') ? `$${used.toFixed(4)}` : used})`, {
+          limit: name,
+          max,
+          used
+        });
+      }
+    }
+  }
+
+  /**
+   * Refuse a call whose input images add up to more than the per-call limit
+   * @param {Object[]} images - Images loaded for the call, as { buffer }
+   * @throws {ToolError} - IMAGE_TOO_LARGE
+   */
+  checkImageBytes(images) {
+    const { imageBytesPerCall } = this.limits;
+    const bytes = images.reduce((sum, image) => sum + image.buffer.length, 0);
+    if (imageBytesPerCall !== null && bytes > imageBytesPerCall) {
+      throw new ToolError(ErrorCodes.IMAGE_TOO_LARGE, `Images in one call must not exceed ${imageBytesPerCall} bytes in total (got ${bytes})`, {
+        limit: 'imageBytesPerCall',
+        max: imageBytesPerCall,
+        bytes
+      });
+    }
+  }
+
+  /**
+   * Add a provider call's usage to the session and daily totals
+   * @param {Object} usage - { inputTokens, outputTokens, cost } from UsageTracker#record; unknown values count as zero
+   */
+  recordUsage(usage) {
+    const tokens = (usage.inputTokens || 0) + (usage.outputTokens || 0);
+    const cost = usage.cost || 0;
+    this.session.tokens += tokens;
+    this.session.cost += cost;
+
+    const day = this.readDay();
+    day.tokens += tokens;
+    day.cost += cost;
+    if (!this.persistent) {
+      return;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      // Write then rename so a concurrent reader never sees a partial file
+      const tempPath = `${this.stateFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(day));
+      fs.renameSync(tempPath, this.stateFile);
+    } catch (error) {
+      console.error(`Could not write budget state ${this.stateFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Describe the configured limits and what has been used against them
+   * @returns {Object} - { limits, session, today }
+   */
+  status() {
+    const day = this.readDay();
+    return {
+      limits: this.limits,
+      session: { tokens: this.session.tokens, cost: this.session.cost },
+      today: { date: day.date, tokens: day.tokens, cost: day.cost }
+    };
+  }
+}
+
+module.exports = Guardrails;
@@ -0,0 +1,296 @@
+const sharp = require('sharp');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Image Diff Module
+ * Pixel-level comparison of two images for visual regression checks. Runs entirely
+ * locally with sharp, so no provider or API key is needed.
+ */
+class ImageDiff {
+  /**
+   * @param {Object} imageProcessor - ImageProcessor used to decode images (including BMP)
+   */
+  constructor(imageProcessor) {
+    this.imageProcessor = imageProcessor;
+    // Per-pixel colour distance (0-1) above which a pixel counts as changed
+    this.defaultThreshold = 0.1;
+    // Images are compared at most at this size; boxes are scaled back to the first image's pixels
+    this.maxDimension = 2048;
+    // Changed pixels are grouped on a grid of cells this size (in pixels) to find regions
+    this.cellSize = 8;
+    this.maxRegions = 50;
+    this.highlightColor = [255, 0, 64];
+    this.boxColor = [255, 200, 0];
+  }
+
+  /**
+   * Decode an image to raw RGBA pixels at a given size
+   * @param {Buffer} buffer - Image buffer
+   * @param {number} width - Target width
+   * @param {number} height - Target height
+   * @returns {Promise<Buffer>} - RGBA pixels
+   */
+  async toPixels(buffer, width, height) {
+    return this.imageProcessor.load(buffer)
+      .rotate()
+      .resize({ width, height, fit: 'fill' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer();
+  }
+
+  /**
+   * Compare two images pixel by pixel
+   * @param {Buffer} before - First image buffer (the reference)
+   * @param {Buffer} after - Second image buffer
+   * @param {Object} [options] - { threshold } per-pixel colour distance (0-1) counted as a change
+   * @returns {Promise<Object>} - { similarity, changedPixels, totalPixels, regions, width, height, compareWidth, compareHeight, sizeMismatch, threshold, overlay }
+   * @throws {ToolError} - INVALID_ARGUMENTS for a bad threshold, INVALID_IMAGE if an image cannot be decoded
+   */
+  async compare(before, after, options = {}) {
+    const threshold = options.threshold === undefined ? this.defaultThreshold : options.threshold;
+    if (typeof threshold !== 'number' || !(threshold >= 0 && threshold < 1)) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'threshold must be a number from 0 up to (but not including) 1', { argument: 'threshold' });
+    }
+
+    let beforeInfo;
+    let afterInfo;
+    try {
+      beforeInfo = await this.imageProcessor.getSize(before);
+      afterInfo = await this.imageProcessor.getSize(after);
+    } catch (error) {
+      if (error instanceof ToolError) {
+        throw error;
+      }
+      throw new ToolError(ErrorCodes.INVALID_IMAGE, `Failed to decode image: ${error.message}`);
+    }
+
+    // Both images are compared on the first image's grid, downscaled if it is very large
+    const scale = Math.min(1, this.maxDimension / Math.max(beforeInfo.width, beforeInfo.height));
+    const width = Math.max(1, Math.round(beforeInfo.width * scale));
+    const height = Math.max(1, Math.round(beforeInfo.height * scale));
+
+    const beforePixels = await this.toPixels(before, width, height);
+    const afterPixels = await this.toPixels(after, width, height);
+
+    const totalPixels = width * height;
+    const mask = new Uint8Array(totalPixels);
+    let changedPixels = 0;
+    const limit = threshold * 255;
+
+    for (let pixel = 0, offset = 0; pixel < totalPixels; pixel++, offset += 4) {
+      const distance = Math.max(
+        Math.abs(beforePixels[offset] - afterPixels[offset]),
+        Math.abs(beforePixels[offset + 1] - afterPixels[offset + 1]),
+        Math.abs(beforePixels[offset + 2] - afterPixels[offset + 2]),
+        Math.abs(beforePixels[offset + 3] - afterPixels[offset + 3])
+      );
+      if (distance > limit) {
+        mask[pixel] = 1;
+        changedPixels++;
+      }
+    }
+
+    const { regions, truncated } = this.findRegions(mask, width, height);
+    const overlay = await this.renderOverlay(beforePixels, mask, regions, width, height);
+
+    // Report boxes in the first image's own pixel coordinates
+    const toSource = value => Math.round(value / scale);
+
+    return {
+      similarity: Math.round((1 - changedPixels / totalPixels) * 10000) / 10000,
+      changedPixels,
+      totalPixels,
+      regions: regions.map(region => ({
+        x: toSource(region.x),
+        y: toSource(region.y),
+        width: Math.max(1, toSource(region.width)),
+        height: Math.max(1, toSource(region.height)),
+        changedPixels: region.changedPixels
+      })),
+      regionsTruncated: truncated,
+      width: beforeInfo.width,
+      height: beforeInfo.height,
+      compareWidth: width,
+      compareHeight: height,
+      sizeMismatch: beforeInfo.width !== afterInfo.width || beforeInfo.height !== afterInfo.height
+        ? { before: { width: beforeInfo.width, height: beforeInfo.height }, after: { width: afterInfo.width, height: afterInfo.height } }
+        : null,
+      threshold,
+      overlay
+    };
+  }
+
+  /**
+   * Group changed pixels into bounding boxes. Pixels are bucketed into grid cells and
+   * touching cells (including diagonals) form one region, so nearby changes merge.
+   * @param {Uint8Array} mask - 1 for each changed pixel
+   * @param {number} width - Mask width
+   * @param {number} height - Mask height
+   * @returns {Object} - { regions, truncated } with regions as { x, y, width, height, changedPixels }, largest first
+   */
+  findRegions(mask, width, height) {
+    const columns = Math.ceil(width / this.cellSize);
+    const rows = Math.ceil(height / this.cellSize);
+    const cells = new Uint32Array(columns * rows);
+
+    for (let y = 0; y < height; y++) {
+      const rowOffset = Math.floor(y / this.cellSize) * columns;
+      for (let x = 0; x < width; x++) {
+        if (mask[y * width + x]) {
+          cells[rowOffset + Math.floor(x / this.cellSize)]++;
+        }
+      }
+    }
+
+    const visited = new Uint8Array(cells.length);
+    const regions = [];
+
+    for (let start = 0; start < cells.length; start++) {
+      if (!cells[start] || visited[start]) {
+        continue;
+      }
+
+      let minColumn = columns;
+      let minRow = rows;
+      let maxColumn = -1;
+      let maxRow = -1;
+      let changedPixels = 0;
+      const stack = [start];
+      visited[start] = 1;
+
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        const column = cell % columns;
+        const row = (cell - column) / columns;
+        changedPixels += cells[cell];
+        minColumn = Math.min(minColumn, column);
+        maxColumn = Math.max(maxColumn, column);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nextColumn = column + dx;
+            const nextRow = row + dy;
+            if (nextColumn < 0 || nextRow < 0 || nextColumn >= columns || nextRow >= rows) {
+              continue;
+            }
+            const next = nextRow * columns + nextColumn;
+            if (cells[next] && !visited[next]) {
+              visited[next] = 1;
+              stack.push(next);
+            }
+          }
+        }
+      }
+
+      regions.push(this.tightenBox(mask, width, height, {
+        left: minColumn * this.cellSize,
+        top: minRow * this.cellSize,
+        right: Math.min(width, (maxColumn + 1) * this.cellSize),
+        bottom: Math.min(height, (maxRow + 1) * this.cellSize)
+      }, changedPixels));
+    }
+
+    regions.sort((a, b) => b.changedPixels - a.changedPixels);
+    return {
+      regions: regions.slice(0, this.maxRegions),
+      truncated: regions.length > this.maxRegions
+    };
+  }
+
+  /**
+   * Shrink a cell-aligned box to the changed pixels it contains
+   * @param {Uint8Array} mask - 1 for each changed pixel
+   * @param {number} width - Mask width
+   * @param {number} height - Mask height
+   * @param {Object} box - { left, top, right, bottom } in pixels
+   * @param {number} changedPixels - Changed pixels inside the box
+   * @returns {Object} - { x, y, width, height, changedPixels }
+   */
+  tightenBox(mask, width, height, box, changedPixels) {
+    let left = box.right;
+    let top = box.bottom;
+    let right = box.left;
+    let bottom = box.top;
+
+    for (let y = box.top; y < box.bottom; y++) {
+      for (let x = box.left; x < box.right; x++) {
+        if (mask[y * width + x]) {
+          left = Math.min(left, x);
+          right = Math.max(right, x + 1);
+          top = Math.min(top, y);
+          bottom = Math.max(bottom, y + 1);
+        }
+      }
+    }
+
+    return { x: left, y: top, width: right - left, height: bottom - top, changedPixels };
+  }
+
+  /**
+   * Render the highlight overlay: the first image faded to grey, changed pixels in a
+   * highlight colour and an outline around each changed region
+   * @param {Buffer} pixels - RGBA pixels of the first image
+   * @param {Uint8Array} mask - 1 for each changed pixel
+   * @param {Object[]} regions - Regions from findRegions
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Promise<Buffer>} - PNG buffer
+   */
+  async renderOverlay(pixels, mask, regions, width, height) {
+    const output = Buffer.alloc(width * height * 3);
+
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      const source = pixel * 4;
+      const target = pixel * 3;
+      if (mask[pixel]) {
+        output[target] = this.highlightColor[0];
+        output[target + 1] = this.highlightColor[1];
+        output[target + 2] = this.highlightColor[2];
+      } else {
+        // Faded greyscale keeps the layout readable without competing with the highlights
+        const alpha = pixels[source + 3] / 255;
+        const luma = 0.299 * pixels[source] + 0.587 * pixels[source + 1] + 0.114 * pixels[source + 2];
+        const grey = Math.round(255 - (255 - luma * alpha - 255 * (1 - alpha)) * 0.35);
+        output[target] = grey;
+        output[target + 1] = grey;
+        output[target + 2] = grey;
+      }
+    }
+
+    const paint = (x, y) => {
+      if (x >= 0 && y >= 0 && x < width && y < height) {
+        const target = (y * width + x) * 3;
+        output[target] = this.boxColor[0];
+        output[target + 1] = this.boxColor[1];
+        output[target + 2] = this.boxColor[2];
+      }
+    };
+    const thickness = Math.max(2, Math.round(Math.max(width, height) / 400));
+    // Leave a gap between the outline and the highlighted pixels so both stay visible
+    const gap = thickness + 1;
+
+    for (const region of regions) {
+      for (let t = 0; t < thickness; t++) {
+        const left = region.x - gap - t;
+        const top = region.y - gap - t;
+        const right = region.x + region.width - 1 + gap + t;
+        const bottom = region.y + region.height - 1 + gap + t;
+        for (let x = left; x <= right; x++) {
+          paint(x, top);
+          paint(x, bottom);
+        }
+        for (let y = top; y <= bottom; y++) {
+          paint(left, y);
+          paint(right, y);
+        }
+      }
+    }
+
+    return sharp(output, { raw: { width, height, channels: 3 } }).png({ compressionLevel: 9 }).toBuffer();
+  }
+}
+
+module.exports = ImageDiff;
@@ -0,0 +1,489 @@
+const sharp = require('sharp');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Image Processing Module
+ * Crops, scales and re-encodes images with sharp before they are sent to a provider
+ */
+class ImageProcessor {
+  constructor() {
+    // Encoding applied to every image before upload (override with IMAGE_OUTPUT_FORMAT / IMAGE_QUALITY).
+    // 'original' keeps the source format when the provider accepts it and falls back to png otherwise.
+    this.supportedOutputFormats = ['jpeg', 'webp', 'png', 'original'];
+    this.outputFormat = (process.env.IMAGE_OUTPUT_FORMAT || 'jpeg').toLowerCase();
+    this.quality = parseInt(process.env.IMAGE_QUALITY, 10) || 85;
+    this.defaultMaxDimension = 2048;
+
+    // Crops smaller than this (longest side, in pixels) are upscaled when no zoom is given
+    this.minRegionDimension = 768;
+    this.maxZoom = 4;
+
+    // Large images can be split into overlapping tiles so small print survives downscaling
+    this.tileOverlap = 0.1;
+    this.maxTiles = 16;
+
+    // Same pixel limit sharp applies to the formats it decodes itself (limitInputPixels)
+    this.maxInputPixels = 268402689;
+
+    // Named areas expressed as normalized boxes (0-1)
+    this.namedRegions = {
+      'full': { x: 0, y: 0, width: 1, height: 1 },
+      'center': { x: 0.25, y: 0.25, width: 0.5, height: 0.5 },
+      'top-left': { x: 0, y: 0, width: 0.5, height: 0.5 },
+      'top-right': { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+      'bottom-left': { x: 0, y: 0.5, width: 0.5, height: 0.5 },
+      'bottom-right': { x: 0.5, y: 0.5, width: 0.5, height: 0.5 },
+      'top': { x: 0, y: 0, width: 1, height: 0.5 },
+      'bottom': { x: 0, y: 0.5, width: 1, height: 0.5 },
+      'left': { x: 0, y: 0, width: 0.5, height: 1 },
+      'right': { x: 0.5, y: 0, width: 0.5, height: 1 },
+      'top-third': { x: 0, y: 0, width: 1, height: 1 / 3 },
+      'middle-third': { x: 0, y: 1 / 3, width: 1, height: 1 / 3 },
+      'bottom-third': { x: 0, y: 2 / 3, width: 1, height: 1 / 3 },
+      'left-third': { x: 0, y: 0, width: 1 / 3, height: 1 },
+      'right-third': { x: 2 / 3, y: 0, width: 1 / 3, height: 1 }
+    };
+  }
+
+  /**
+   * Create a sharp pipeline for an image buffer, decoding formats libvips cannot read (BMP) first
+   * @param {Buffer} buffer - Source image buffer
+   * @returns {Object} - sharp instance
+   */
+  load(buffer) {
+    if (buffer.length >= 2 && buffer[0] === 0x42 && buffer[1] === 0x4D) {
+      const { data, width, height, channels } = this.decodeBmp(buffer);
+      return sharp(data, { raw: { width, height, channels } });
+    }
+    return sharp(buffer);
+  }
+
+  /**
+   * Read an image's displayed size (after EXIF orientation)
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<Object>} - { width, height }
+   */
+  async getSize(buffer) {
+    const metadata = await this.load(buffer).metadata();
+    // Orientations 5-8 are rotated by 90 degrees, so width and height swap once applied
+    return metadata.orientation >= 5
+      ? { width: metadata.height, height: metadata.width }
+      : { width: metadata.width, height: metadata.height };
+  }
+
+  /**
+   * Decode an uncompressed Windows bitmap to raw pixels
+   * @param {Buffer} buffer - BMP file buffer
+   * @returns {Object} - { data, width, height, channels }
+   * @throws {ToolError} - UNSUPPORTED_FORMAT for an unsupported header, bit depth or compression,
+   *   INVALID_IMAGE for truncated data or dimensions above maxInputPixels
+   */
+  decodeBmp(buffer) {
+    // File header (14 bytes) and BITMAPINFOHEADER (40)
+    if (buffer.length < 54) {
+      throw new ToolError(ErrorCodes.INVALID_IMAGE, 'Truncated BMP header');
+    }
+    const dataOffset = buffer.readUInt32LE(10);
+    const headerSize = buffer.readUInt32LE(14);
+    if (headerSize < 40) {
+      throw new ToolError(ErrorCodes.UNSUPPORTED_FORMAT, 'Unsupported BMP header (OS/2 bitmaps are not supported)');
+    }
+
+    const width = buffer.readInt32LE(18);
+    const rawHeight = buffer.readInt32LE(22);
+    const bitCount = buffer.readUInt16LE(28);
+    const compression = buffer.readUInt32LE(30);
+    const colorsUsed = buffer.readUInt32LE(46);
+    const height = Math.abs(rawHeight);
+    // Positive heights store rows bottom-up
+    const bottomUp = rawHeight > 0;
+
+    const BI_RGB = 0;
+    const BI_BITFIELDS = 3;
+    if (![1, 4, 8, 16, 24, 32].includes(bitCount)) {
+      throw new ToolError(ErrorCodes.UNSUPPORTED_FORMAT, `Unsupported BMP bit depth: ${bitCount}`);
+    }
+    if (compression !== BI_RGB && !(compression === BI_BITFIELDS && (bitCount === 16 || bitCount === 32))) {
+      throw new ToolError(ErrorCodes.UNSUPPORTED_FORMAT, `Unsupported BMP compression: ${compression}`);
+    }
+    if (width <= 0 || height === 0) {
+      throw new ToolError(ErrorCodes.INVALID_IMAGE, 'Invalid BMP dimensions');
+    }
+    // Checked before anything is allocated: a small 1-bit file can claim gigabytes of pixels
+    if (width * height > this.maxInputPixels) {
+      throw new ToolError(ErrorCodes.INVALID_IMAGE, `BMP dimensions ${width}x${height} exceed ${this.maxInputPixels} pixels`);
+    }
+    const rowSize = Math.floor((bitCount * width + 31) / 32) * 4;
+    if (dataOffset + rowSize * height > buffer.length) {
+      throw new ToolError(ErrorCodes.INVALID_IMAGE, 'Truncated BMP pixel data');
+    }
+
+    let masks = null;
+    if (bitCount === 16 || bitCount === 32) {
+      if (compression === BI_BITFIELDS) {
+        if (buffer.length < 70) {
+          throw new ToolError(ErrorCodes.INVALID_IMAGE, 'Truncated BMP header');
+        }
+        masks = [buffer.readUInt32LE(54), buffer.readUInt32LE(58), buffer.readUInt32LE(62)];
+        // V4/V5 headers also carry an alpha mask
+        masks.push(headerSize >= 56 ? buffer.readUInt32LE(66) : 0);
+      } else if (bitCount === 16) {
+        masks = [0x7C00, 0x03E0, 0x001F, 0];
+      } else {
+        masks = [0x00FF0000, 0x0000FF00, 0x000000FF, 0];
+      }
+    }
+
+    let palette = null;
+    if (bitCount <= 8) {
+      const paletteOffset = 14 + headerSize;
+      const count = Math.min(colorsUsed || (1 << bitCount), 1 << bitCount);
+      palette = [];
+      for (let i = 0; i < count; i++) {
+        const offset = paletteOffset + i * 4;
+        palette.push([buffer[offset + 2], buffer[offset + 1], buffer[offset]]);
+      }
+    }
+
+    const hasAlpha = masks !== null && masks[3] !== 0;
+    const channels = hasAlpha ? 4 : 3;
+
+    const readMask = (pixel, mask) => {
+      if (!mask) {
+        return 0;
+      }
+      let shift = 0;
+      while (((mask >>> shift) & 1) === 0) {
+        shift++;
+      }
+      const max = mask >>> shift;
+      return Math.round((((pixel & mask) >>> shift) * 255) / max);
+    };
+
+    const data = Buffer.alloc(width * height * channels);
+    for (let y = 0; y < height; y++) {
+      const rowOffset = dataOffset + (bottomUp ? height - 1 - y : y) * rowSize;
+      for (let x = 0; x < width; x++) {
+        let rgba;
+        if (palette) {
+          const bitOffset = x * bitCount;
+          const byte = buffer[rowOffset + (bitOffset >> 3)];
+          const index = (byte >> (8 - bitCount - (bitOffset & 7))) & ((1 << bitCount) - 1);
+          rgba = palette[index] || [0, 0, 0];
+        } else if (bitCount === 24) {
+          const offset = rowOffset + x * 3;
+          rgba = [buffer[offset + 2], buffer[offset + 1], buffer[offset]];
+        } else {
+          const pixel = bitCount === 16
+            ? buffer.readUInt16LE(rowOffset + x * 2)
+            : buffer.readUInt32LE(rowOffset + x * 4);
+          rgba = masks.map(mask => readMask(pixel, mask));
+        }
+
+        const target = (y * width + x) * channels;
+        for (let c = 0; c < channels; c++) {
+          data[target + c] = rgba[c];
+        }
+      }
+    }
+
+    return { data, width, height, channels };
+  }
+
+  /**
+   * Normalize a named area such as "top-left quadrant" or "Bottom Half" to a key of namedRegions
+   * @param {string} name - Named area
+   * @returns {string} - Lookup key
+   */
+  normalizeRegionName(name) {
+    return name
+      .toLowerCase()
+      .replace(/\b(the|quadrant|corner|half|region|area|part|section|of|image)\b/g, ' ')
+      .replace(/\bcentre\b|\bmiddle\b(?!\s*third)/g, 'center')
+      .replace(/\bupper\b/g, 'top')
+      .replace(/\blower\b/g, 'bottom')
+      .trim()
+      .split(/[\s_-]+/)
+      .filter(Boolean)
+      .join('-');
+  }
+
+  /**
+   * Resolve a region description to a pixel box inside the image
+   * @param {string|Object} region - Named area, or box {x, y, width, height, unit}
+   * @param {number} imageWidth - Image width in pixels
+   * @param {number} imageHeight - Image height in pixels
+   * @returns {Object} - Pixel box {left, top, width, height}
+   * @throws {Error} - If the region is invalid or outside the image
+   */
+  resolveRegion(region, imageWidth, imageHeight) {
+    let box;
+    let unit;
+
+    if (typeof region === 'string') {
+      const key = this.normalizeRegionName(region);
+      box = this.namedRegions[key];
+      if (!box) {
+        throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Unknown region: "${region}". Named regions: ${Object.keys(this.namedRegions).join(', ')}`);
+      }
+      unit = 'normalized';
+    } else if (region && typeof region === 'object') {
+      box = region;
+      const values = [box.x, box.y, box.width, box.height];
+      if (!values.every(value => typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+        throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'region must have non-negative numeric x, y, width and height');
+      }
+      // Boxes made only of values in 0-1 are treated as normalized unless told otherwise
+      unit = box.unit || (values.every(value => value <= 1) ? 'normalized' : 'pixels');
+      if (!['pixels', 'normalized'].includes(unit)) {
+        throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Invalid region unit: ${unit}. Valid units: pixels, normalized`);
+      }
+    } else {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'region must be a named area or an object with x, y, width and height');
+    }
+
+    const scaleX = unit === 'normalized' ? imageWidth : 1;
+    const scaleY = unit === 'normalized' ? imageHeight : 1;
+
+    const left = Math.max(0, Math.round(box.x * scaleX));
+    const top = Math.max(0, Math.round(box.y * scaleY));
+    const right = Math.min(imageWidth, Math.round((box.x + box.width) * scaleX));
+    const bottom = Math.min(imageHeight, Math.round((box.y + box.height) * scaleY));
+
+    if (right - left < 1 || bottom - top < 1) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `region lies outside the image (${imageWidth}x${imageHeight})`);
+    }
+
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Crop an image to a region and optionally upscale it
+   * @param {Buffer} buffer - Source image buffer
+   * @param {string|Object} region - Region to crop (see resolveRegion)
+   * @param {number} [zoom] - Upscale factor (1 disables upscaling, omitted means automatic)
+   * @returns {Promise<Object>} - { buffer, mimeType, region, zoom, sourceWidth, sourceHeight }
+   * @throws {Error} - If the region or zoom is invalid
+   */
+  async cropRegion(buffer, region, zoom) {
+    if (zoom !== undefined && (typeof zoom !== 'number' || !(zoom >= 1 && zoom <= this.maxZoom))) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `zoom must be a number between 1 and ${this.maxZoom}`);
+    }
+
+    // Apply EXIF orientation first so region coordinates match what the user sees
+    const { data: oriented, info } = await this.load(buffer).rotate().toBuffer({ resolveWithObject: true });
+    const box = this.resolveRegion(region, info.width, info.height);
+
+    let factor = zoom;
+    if (factor === undefined) {
+      const longestSide = Math.max(box.width, box.height);
+      factor = Math.min(this.maxZoom, Math.max(1, this.minRegionDimension / longestSide));
+    }
+
+    let pipeline = sharp(oriented).extract(box);
+    if (factor > 1) {
+      pipeline = pipeline.resize({
+        width: Math.round(box.width * factor),
+        height: Math.round(box.height * factor),
+        kernel: sharp.kernel.lanczos3
+      });
+    }
+
+    return {
+      buffer: await pipeline.png().toBuffer(),
+      mimeType: 'image/png',
+      region: box,
+      zoom: Math.round(factor * 100) / 100,
+      sourceWidth: info.width,
+      sourceHeight: info.height
+    };
+  }
+
+  /**
+   * Downscale and re-encode an image before it is base64 encoded for a provider.
+   * EXIF orientation is applied to the pixels and all metadata (EXIF, GPS, ICC) is dropped.
+   * @param {Buffer} buffer - Source image buffer
+   * @param {Object} [options] - Preprocessing options
+   * @param {number} [options.maxDimension] - Longest allowed side in pixels
+   * @param {string} [options.format] - Output format ('jpeg', 'webp', 'png' or 'original')
+   * @param {number} [options.quality] - Encoder quality (1-100, ignored for png)
+   * @param {string} [options.sourceFormat] - Detected format of the source image
+   * @param {string[]} [options.acceptedFormats] - Formats the provider accepts
+   * @returns {Promise<Object>} - { buffer, mimeType, metadata }
+   * @throws {Error} - If the options are invalid or the image cannot be decoded
+   */
+  async prepareForUpload(buffer, options = {}) {
+    const {
+      maxDimension = this.defaultMaxDimension,
+      quality = this.quality,
+      sourceFormat,
+      acceptedFormats = ['jpeg', 'png', 'webp']
+    } = options;
+    let { format = this.outputFormat } = options;
+
+    if (!this.supportedOutputFormats.includes(format)) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Invalid image output format: ${format}. Valid formats: ${this.supportedOutputFormats.join(', ')}`);
+    }
+
+    // Keep the source format if the provider accepts it, otherwise transcode (e.g. TIFF, BMP) to png
+    if (format === 'original') {
+      format = acceptedFormats.includes(sourceFormat) ? sourceFormat : 'png';
+    }
+
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'Image quality must be an integer between 1 and 100');
+    }
+
+    const source = await this.load(buffer).metadata();
+    // Orientations 5-8 are rotated by 90 degrees, so width and height swap once applied
+    const swapped = source.orientation >= 5;
+    const originalWidth = swapped ? source.height : source.width;
+    const originalHeight = swapped ? source.width : source.height;
+
+    let pipeline = this.load(buffer).rotate().resize({
+      width: maxDimension,
+      height: maxDimension,
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+
+    if (format === 'jpeg') {
+      // JPEG has no alpha channel; flatten transparent areas onto white instead of black
+      pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true });
+    } else if (format === 'webp') {
+      pipeline = pipeline.webp({ quality });
+    } else if (format === 'gif') {
+      pipeline = pipeline.gif();
+    } else {
+      pipeline = pipeline.png({ compressionLevel: 9 });
+    }
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      mimeType: `image/${format}`,
+      metadata: {
+        originalBytes: buffer.length,
+        originalWidth,
+        originalHeight,
+        sentBytes: data.length,
+        sentWidth: info.width,
+        sentHeight: info.height,
+        sourceFormat,
+        format,
+        resized: info.width !== originalWidth || info.height !== originalHeight
+      }
+    };
+  }
+
+  /**
+   * Plan a grid of overlapping tiles covering an image. Tiles are at most tileSize on each side;
+   * if more than maxTiles would be needed the tiles grow instead.
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} tileSize - Preferred longest tile side in pixels
+   * @returns {Object[]} - Tiles as { left, top, width, height, row, column }, row by row
+   */
+  planTiles(width, height, tileSize) {
+    let size = tileSize;
+    let columns;
+    let rows;
+    for (;;) {
+      const overlap = Math.round(size * this.tileOverlap);
+      columns = width <= size ? 1 : Math.ceil((width - overlap) / (size - overlap));
+      rows = height <= size ? 1 : Math.ceil((height - overlap) / (size - overlap));
+      if (columns * rows <= this.maxTiles) {
+        break;
+      }
+      size = Math.ceil(size * 1.25);
+    }
+
+    // Spread the tiles evenly so every overlap is the same
+    const span = (total, count) => {
+      const length = Math.min(total, size);
+      const step = count > 1 ? (total - length) / (count - 1) : 0;
+      return Array.from({ length: count }, (_, index) => ({ start: Math.round(index * step), length }));
+    };
+
+    const tiles = [];
+    span(height, rows).forEach((vertical, row) => {
+      span(width, columns).forEach((horizontal, column) => {
+        tiles.push({ left: horizontal.start, top: vertical.start, width: horizontal.length, height: vertical.length, row, column });
+      });
+    });
+    return tiles;
+  }
+
+  /**
+   * Cut tiles out of an image
+   * @param {Buffer} buffer - Source image buffer
+   * @param {Object[]} tiles - Tiles from planTiles
+   * @returns {Promise<Buffer[]>} - PNG buffer for each tile
+   */
+  async extractTiles(buffer, tiles) {
+    const oriented = await this.load(buffer).rotate().png().toBuffer();
+    return Promise.all(tiles.map(tile => sharp(oriented)
+      .extract({ left: tile.left, top: tile.top, width: tile.width, height: tile.height })
+      .png()
+      .toBuffer()));
+  }
+
+  /**
+   * Convert a box in the [ymin, xmin, ymax, xmax] 0-1000 convention used by vision models
+   * to pixels, clamped to the image
+   * @param {number[]} box - Normalized box
+   * @param {number} width - Width of the image the box refers to
+   * @param {number} height - Height of the image the box refers to
+   * @param {Object} [offset] - { left, top } added to the result (e.g. a tile's position)
+   * @returns {Object|null} - Pixel box { x, y, width, height }, or null if the box is malformed
+   */
+  denormalizeBox(box, width, height, offset = { left: 0, top: 0 }) {
+    if (!Array.isArray(box) || box.length !== 4 || !box.every(value => typeof value === 'number' && Number.isFinite(value))) {
+      return null;
+    }
+    const clamp = value => Math.min(1000, Math.max(0, value));
+    const [ymin, xmin, ymax, xmax] = box.map(clamp);
+    const left = Math.round(Math.min(xmin, xmax) / 1000 * width);
+    const top = Math.round(Math.min(ymin, ymax) / 1000 * height);
+    const right = Math.round(Math.max(xmin, xmax) / 1000 * width);
+    const bottom = Math.round(Math.max(ymin, ymax) / 1000 * height);
+    return { x: offset.left + left, y: offset.top + top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Draw labelled boxes on a copy of an image
+   * @param {Buffer} buffer - Source image buffer
+   * @param {Object[]} boxes - Boxes as { label, box: { x, y, width, height } } in pixels of the oriented image
+   * @returns {Promise<Buffer>} - PNG buffer
+   */
+  async annotateBoxes(buffer, boxes) {
+    const { width, height } = await this.getSize(buffer);
+    const palette = ['#ff0040', '#00c853', '#2979ff', '#ffab00', '#d500f9', '#00b8d4'];
+    const stroke = Math.max(2, Math.round(Math.max(width, height) / 400));
+    const fontSize = Math.max(12, Math.round(Math.max(width, height) / 60));
+    const escape = text => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+    const shapes = boxes.map(({ label, box }, index) => {
+      const color = palette[index % palette.length];
+      const text = `${index + 1}. ${label}`;
+      const labelWidth = Math.round(text.length * fontSize * 0.6) + 8;
+      // Labels sit above the box, or inside it when the box touches the top edge
+      const labelY = box.y >= fontSize + 6 ? box.y - fontSize - 6 : box.y;
+      return [
+        `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" fill="none" stroke="${color}" stroke-width="${stroke}"/>`,
+        `<rect x="${box.x}" y="${labelY}" width="${labelWidth}" height="${fontSize + 6}" fill="${color}"/>`,
+        `<text x="${box.x + 4}" y="${labelY + fontSize}" font-family="sans-serif" font-size="${fontSize}" fill="#ffffff">${escape(text)}</text>`
+      ].join('');
+    });
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`;
+
+    const oriented = await this.load(buffer).rotate().png().toBuffer();
+    return sharp(oriented)
+      .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+      .png()
+      .toBuffer();
+  }
+}
+
+module.exports = ImageProcessor;
@@ -0,0 +1,241 @@
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Image Source Module
+ * Loads tool images from a file, an http(s) URL or base64 data, applying the same size and
+ * content checks to every source. Downloads time out and refuse private, loopback and
+ * link-local addresses (checked on every connection, including redirects) unless allowed.
+ */
+class ImageSourceLoader {
+  /**
+   * @param {Object} validator - ValidationUtils instance providing the size and format checks
+   * @param {Object} [options] - Loader options (defaults come from the environment)
+   * @param {number} [options.timeoutMs] - Time allowed for a whole download (IMAGE_URL_TIMEOUT_MS)
+   * @param {boolean} [options.allowPrivate] - Allow downloads from private networks and localhost (IMAGE_URL_ALLOW_PRIVATE)
+   */
+  constructor(validator, options = {}) {
+    this.validator = validator;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.IMAGE_URL_TIMEOUT_MS, 10) || 15000;
+    this.allowPrivate = options.allowPrivate !== undefined ? options.allowPrivate : process.env.IMAGE_URL_ALLOW_PRIVATE === 'true';
+    this.maxRedirects = 5;
+
+    // Checking inside the agent's DNS lookup covers redirects and DNS rebinding
+    const lookup = this.lookup.bind(this);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  /**
+   * Load an image from a validated source
+   * @param {Object} source - Source from ValidationUtils#validateImageSource
+   * @param {AbortSignal} [signal] - Cancels a download
+   * @returns {Promise<Object>} - { path, buffer, format, source } where path names the image in messages
+   * @throws {ToolError} - If the image cannot be loaded or is not a supported image
+   */
+  async load(source, signal) {
+    if (source.type === 'url') {
+      const { buffer, contentType } = await this.download(source.url, signal);
+      return { path: source.url, buffer, format: this.checkBuffer(buffer, source.url), source: { type: 'url', url: source.url, contentType } };
+    }
+    if (source.type === 'base64') {
+      const name = 'image_base64';
+      return { path: name, buffer: source.buffer, format: this.checkBuffer(source.buffer, name), source: { type: 'base64', mimeType: source.mimeType } };
+    }
+    const { buffer, format } = this.readFile(source.path);
+    return { path: source.path, buffer, format, source: { type: 'path', path: source.path } };
+  }
+
+  /**
+   * Read an image file and check its content
+   * @param {string} imagePath - Validated path to the image file
+   * @returns {Object} - { buffer, format }
+   * @throws {ToolError} - If the file is too large or not a supported image
+   */
+  readFile(imagePath) {
+    const buffer = fs.readFileSync(imagePath);
+    return { buffer, format: this.checkBuffer(buffer, imagePath) };
+  }
+
+  /**
+   * Check the size and real format of image bytes; the extension or declared type is not trusted
+   * @param {Buffer} buffer - Image bytes
+   * @param {string} name - Path, URL or argument name used in error details
+   * @returns {string} - Detected format
+   * @throws {ToolError} - IMAGE_TOO_LARGE or INVALID_IMAGE
+   */
+  checkBuffer(buffer, name) {
+    if (buffer.length > this.validator.maxFileSize) {
+      throw new ToolError(ErrorCodes.IMAGE_TOO_LARGE, `Image too large: ${buffer.length} bytes (max: ${this.validator.maxFileSize} bytes)`, { path: name, size: buffer.length, maxSize: this.validator.maxFileSize });
+    }
+    const format = this.validator.validateImageBuffer(buffer);
+    if (!format) {
+      throw new ToolError(ErrorCodes.INVALID_IMAGE, 'Invalid or corrupted image file', { path: name });
+    }
+    return format;
+  }
+
+  /**
+   * Download an image, following redirects
+   * @param {string} url - Validated http(s) URL
+   * @param {AbortSignal} [signal] - Cancels the download
+   * @returns {Promise<Object>} - { buffer, contentType }
+   * @throws {ToolError} - ACCESS_DENIED, IMAGE_DOWNLOAD_FAILED, IMAGE_TOO_LARGE, UNSUPPORTED_FORMAT or CANCELLED
+   */
+  async download(url, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        throw new ToolError(ErrorCodes.CANCELLED, 'Request was cancelled by the client');
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      let currentUrl = url;
+      for (let redirects = 0; ; redirects++) {
+        this.checkHost(new URL(currentUrl).hostname);
+        const response = await fetch(currentUrl, {
+          redirect: 'manual',
+          signal: controller.signal,
+          size: this.validator.maxFileSize,
+          agent: this.allowPrivate ? undefined : parsedUrl => (parsedUrl.protocol === 'http:' ? this.httpAgent : this.httpsAgent),
+          headers: { accept: this.validator.supportedMimeTypes.join(', ') },
+        });
+
+        if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+          if (redirects >= this.maxRedirects) {
+            throw new ToolError(ErrorCodes.IMAGE_DOWNLOAD_FAILED, `Too many redirects downloading ${url}`, { url });
+          }
+          const location = new URL(response.headers.get('location'), currentUrl);
+          if (location.protocol !== 'http:' && location.protocol !== 'https:') {
+            throw new ToolError(ErrorCodes.IMAGE_DOWNLOAD_FAILED, `Refusing redirect to ${location.protocol} URL`, { url });
+          }
+          currentUrl = location.href;
+          continue;
+        }
+
+        if (!response.ok) {
+          throw new ToolError(ErrorCodes.IMAGE_DOWNLOAD_FAILED, `Download of ${url} failed with HTTP ${response.status}`, { url, status: response.status });
+        }
+
+        // Servers without a specific type are accepted; the bytes are checked either way
+        const contentType = response.headers.get('content-type');
+        const declared = contentType ? contentType.split(';')[0].trim().toLowerCase() : '';
+        if (declared && declared !== 'application/octet-stream') {
+          this.validator.validateImageContentType(contentType, 'image_url');
+        }
+
+        const length = parseInt(response.headers.get('content-length'), 10);
+        if (length > this.validator.maxFileSize) {
+          throw new ToolError(ErrorCodes.IMAGE_TOO_LARGE, `Image too large: ${length} bytes (max: ${this.validator.maxFileSize} bytes)`, { url, size: length, maxSize: this.validator.maxFileSize });
+        }
+
+        return { buffer: await response.buffer(), contentType: declared || null };
+      }
+    } catch (error) {
+      if (error instanceof ToolError) {
+        throw error;
+      }
+      if (error.name === 'AbortError') {
+        if (signal && signal.aborted) {
+          throw new ToolError(ErrorCodes.CANCELLED, 'Request was cancelled by the client');
+        }
+        throw new ToolError(ErrorCodes.IMAGE_DOWNLOAD_FAILED, `Download of ${url} did not finish within ${this.timeoutMs}ms`, { url, timeoutMs: this.timeoutMs });
+      }
+      if (error.type === 'max-size') {
+        throw new ToolError(ErrorCodes.IMAGE_TOO_LARGE, `Image too large (max: ${this.validator.maxFileSize} bytes)`, { url, maxSize: this.validator.maxFileSize });
+      }
+      if (error.code === 'ERR_PRIVATE_ADDRESS') {
+        throw new ToolError(ErrorCodes.ACCESS_DENIED, `Refusing to download ${url}: ${error.message.replace(/^.*reason: /, '')}`, { url });
+      }
+      throw new ToolError(ErrorCodes.IMAGE_DOWNLOAD_FAILED, `Download of ${url} failed: ${error.message}`, { url });
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Refuse hosts given as a private IP literal; connections skip the DNS lookup for those
+   * @param {string} hostname - URL hostname
+   * @throws {ToolError} - ACCESS_DENIED if the host is a private address and those are not allowed
+   */
+  checkHost(hostname) {
+    const address = hostname.replace(/^\[|\]$/g, '');
+    if (!this.allowPrivate && net.isIP(address) && this.isPrivateAddress(address)) {
+      throw new ToolError(ErrorCodes.ACCESS_DENIED, `Refusing to download from private address ${address}; set IMAGE_URL_ALLOW_PRIVATE=true to allow it`, { host: address });
+    }
+  }
+
+  /**
+   * DNS lookup for the download agents that fails for private addresses
+   * @param {string} hostname - Host name
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - dns.lookup callback
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => this.isPrivateAddress(entry.address));
+      if (blocked) {
+        const refused = new Error(`${hostname} resolves to private address ${blocked.address}; set IMAGE_URL_ALLOW_PRIVATE=true to allow it`);
+        refused.code = 'ERR_PRIVATE_ADDRESS';
+        callback(refused);
+        return;
+      }
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * Check whether an IP address is loopback, private, link-local or otherwise not public
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} - True if downloads from it should be refused
+   */
+  isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+      const [a, b] = address.split('.').map(Number);
+      return a === 0 || a === 10 || a === 127 || a >= 224
+        || (a === 100 && b >= 64 && b <= 127)
+        || (a === 169 && b === 254)
+        || (a === 172 && b >= 16 && b <= 31)
+        || (a === 192 && b === 168)
+        || (a === 192 && b === 0 && address.split('.')[2] === '0')
+        || (a === 198 && (b === 18 || b === 19));
+    }
+
+    const normalized = address.toLowerCase();
+    // IPv4-mapped addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = /^(?:0*:)*:?ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(normalized);
+    if (mapped) {
+      return this.isPrivateAddress(mapped[1]);
+    }
+    // URL parsing rewrites them in hex (::ffff:7f00:1)
+    const mappedHex = /^(?:0*:)*:?ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(normalized);
+    if (mappedHex) {
+      const high = parseInt(mappedHex[1], 16);
+      const low = parseInt(mappedHex[2], 16);
+      return this.isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    return normalized === '::' || normalized === '::1'
+      || /^f[cd]/.test(normalized)
+      || /^fe[89ab]/.test(normalized)
+      || /^ff/.test(normalized);
+  }
+}
+
+module.exports = ImageSourceLoader;
@@ -0,0 +1,91 @@
+/**
+ * Object Detection Module
+ * Prompt and schema for the detect_objects tool. Providers return labelled boxes in the
+ * [ymin, xmin, ymax, xmax] 0-1000 convention used by Gemini, which are converted to pixels
+ * using the real image dimensions.
+ */
+class ObjectDetector {
+  /**
+   * @param {Object} imageProcessor - ImageProcessor used to convert normalized boxes to pixels
+   */
+  constructor(imageProcessor) {
+    this.imageProcessor = imageProcessor;
+    this.defaultMaxObjects = 25;
+    this.maxObjects = 100;
+
+    // Sent to the provider, which constrains its reply to it where supported
+    this.outputSchema = {
+      type: 'object',
+      properties: {
+        objects: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              label: { type: 'string' },
+              box_2d: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 },
+              confidence: { type: 'number' }
+            },
+            required: ['label', 'box_2d']
+          }
+        }
+      },
+      required: ['objects']
+    };
+
+    // The reply is only checked against this looser schema, so one malformed object is dropped
+    // by toPixelObjects instead of failing the whole answer and costing a repair request
+    this.replySchema = {
+      type: 'object',
+      properties: {
+        objects: { type: 'array', items: { type: 'object' } }
+      },
+      required: ['objects']
+    };
+  }
+
+  /**
+   * Build the detection prompt
+   * @param {string[]|null} targets - Kinds of object to look for, or null for every distinct object
+   * @param {number} maxObjects - Largest number of objects to return
+   * @returns {string} - Prompt
+   */
+  buildPrompt(targets, maxObjects) {
+    const subject = targets && targets.length > 0
+      ? `every instance of the following in this image: ${targets.join(', ')}`
+      : 'the distinct, prominent objects in this image';
+    return [
+      `Detect ${subject}.`,
+      `Return at most ${maxObjects} objects, most prominent first.`,
+      'For each object give a short label, box_2d as [ymin, xmin, ymax, xmax] normalized to 0-1000, and a confidence between 0 and 1.',
+      targets && targets.length > 0 ? 'Use the requested names as labels. Return an empty list if none are present.' : 'Use specific labels (e.g. "red car", "submit button").'
+    ].join(' ');
+  }
+
+  /**
+   * Convert detected objects to pixel boxes, dropping objects without a label and malformed or empty boxes
+   * @param {Object[]} objects - Objects from the provider
+   * @param {Object} size - Image { width, height }
+   * @param {number} maxObjects - Largest number of objects to keep
+   * @returns {Object[]} - Objects as { label, confidence, box: { x, y, width, height }, box_2d }
+   */
+  toPixelObjects(objects, size, maxObjects) {
+    const detected = [];
+    for (const object of objects) {
+      const label = typeof object.label === 'string' ? object.label.trim() : '';
+      const box = this.imageProcessor.denormalizeBox(object.box_2d, size.width, size.height);
+      if (!label || !box || box.width < 1 || box.height < 1) {
+        continue;
+      }
+      detected.push({
+        label,
+        confidence: typeof object.confidence === 'number' && object.confidence >= 0 && object.confidence <= 1 ? object.confidence : null,
+        box,
+        box_2d: object.box_2d
+      });
+    }
+    return detected.slice(0, maxObjects);
+  }
+}
+
+module.exports = ObjectDetector;
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Path Sandbox Module
+ * Restricts file access to allowed root directories. Roots come from the configuration file
+ * ("roots") or IMAGE_ROOTS, and from the client's workspace roots (MCP roots/list). A path must
+ * be inside a configured root, if any are configured, and inside a client root, if the client
+ * reports any. Paths are compared after resolving symlinks, so links cannot escape a root.
+ */
+class PathSandbox {
+  /**
+   * @param {Object} [options] - Sandbox options
+   * @param {string[]} [options.roots] - Allowed directories (defaults to IMAGE_ROOTS, separated by the platform's path delimiter)
+   * @param {string} [options.baseDir] - Directory relative roots are resolved against
+   * @throws {ToolError} - CONFIGURATION_ERROR if roots is not an array of directory paths
+   */
+  constructor(options = {}) {
+    const baseDir = options.baseDir || process.cwd();
+    let roots = options.roots;
+    if (roots === undefined && process.env.IMAGE_ROOTS) {
+      roots = process.env.IMAGE_ROOTS.split(path.delimiter).filter(Boolean);
+    }
+
+    if (roots !== undefined && (!Array.isArray(roots) || !roots.every(root => typeof root === 'string' && root.trim()))) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'roots must be an array of directory paths in the configuration file');
+    }
+
+    this.configuredRoots = roots ? roots.map(root => this.realpath(path.resolve(baseDir, root))) : null;
+    this.clientRoots = null;
+  }
+
+  /**
+   * Check whether any roots restrict file access
+   * @returns {boolean} - False when neither configured nor client roots are known
+   */
+  get restricted() {
+    return this.configuredRoots !== null || this.clientRoots !== null;
+  }
+
+  /**
+   * Replace the client's workspace roots
+   * @param {Object[]} roots - Roots from roots/list as { uri, name }; only file:// URIs are used
+   */
+  setClientRoots(roots) {
+    const directories = roots
+      .filter(root => typeof root.uri === 'string' && root.uri.startsWith('file://'))
+      .map(root => this.realpath(fileURLToPath(root.uri)));
+    // A client without workspace folders does not restrict anything
+    this.clientRoots = directories.length > 0 ? directories : null;
+  }
+
+  /**
+   * Resolve symlinks, falling back to the plain resolved path for paths that don't exist
+   * @param {string} filePath - Absolute path
+   * @returns {string} - Real path
+   */
+  realpath(filePath) {
+    try {
+      return fs.realpathSync(filePath);
+    } catch (error) {
+      return filePath;
+    }
+  }
+
+  /**
+   * Check whether a path is inside a directory
+   * @param {string} filePath - Real path
+   * @param {string} root - Real path of the directory
+   * @returns {boolean} - True if filePath is the directory or below it
+   */
+  isInside(filePath, root) {
+    const relative = path.relative(root, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Resolve a path and check that it is inside the allowed roots
+   * @param {string} filePath - Path to check; for files that don't exist yet, their directory must exist
+   * @param {string} argument - Argument name used in error messages
+   * @returns {string} - Real path
+   * @throws {ToolError} - ACCESS_DENIED if the path is outside the roots
+   */
+  check(filePath, argument) {
+    const resolvedPath = path.resolve(filePath);
+    const realPath = fs.existsSync(resolvedPath)
+      ? this.realpath(resolvedPath)
+      : path.join(this.realpath(path.dirname(resolvedPath)), path.basename(resolvedPath));
+
+    for (const roots of [this.configuredRoots, this.clientRoots]) {
+      if (roots && !roots.some(root => this.isInside(realPath, root))) {
+        throw new ToolError(ErrorCodes.ACCESS_DENIED, `Access denied: ${resolvedPath} is outside the allowed directories (${roots.join(', ')})`, { argument, path: resolvedPath });
+      }
+    }
+    return realPath;
+  }
+}
+
+module.exports = PathSandbox;
@@ -0,0 +1,236 @@
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Analysis preset.
+ * @typedef {Object} AnalysisPreset
+ * @property {string} name - Value of the `focus_area` tool argument
+ * @property {string} description - One-line summary shown to clients
+ * @property {string} prompt - Tuned analysis prompt
+ * @property {Object} [models] - Recommended model per provider name, used when the caller sets no model
+ * @property {Object} [outputSchema] - JSON Schema; when set the answer is returned as validated JSON
+ */
+
+const issueListSchema = {
+  type: 'object',
+  properties: {
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+          location: { type: 'string' },
+          description: { type: 'string' },
+          suggestion: { type: 'string' }
+        },
+        required: ['title', 'severity', 'description']
+      }
+    },
+    summary: { type: 'string' }
+  },
+  required: ['issues', 'summary']
+};
+
+const BUILT_IN_PRESETS = [
+  {
+    name: 'text',
+    description: 'Read all visible text, preserving its structure',
+    prompt: 'Read all visible text in this image exactly as written, in reading order. Preserve headings, lists, tables and line breaks, and note any text that is partly illegible. Do not summarise or correct the text.',
+    models: { gemini: 'gemini-2.5-flash', openai: 'gpt-4o' }
+  },
+  {
+    name: 'faces',
+    description: 'Describe the people and faces present',
+    prompt: 'Describe each person visible in this image: approximate position, apparent expression and emotion, pose, gaze direction, and notable visual attributes such as clothing or accessories. Do not identify real people or guess sensitive attributes.',
+    models: { gemini: 'gemini-2.5-pro', openai: 'gpt-4o' }
+  },
+  {
+    name: 'objects',
+    description: 'Inventory the objects and where they are',
+    prompt: 'List the distinct objects in this image with their approximate location (e.g. top-left, center), size relative to the frame, count when there are several, and how they relate to each other.',
+    models: { gemini: 'gemini-2.5-flash', openai: 'gpt-4o' }
+  },
+  {
+    name: 'colors',
+    description: 'Extract the color palette',
+    prompt: 'Extract the dominant color palette of this image. For each color give an approximate hex value, a common name, the approximate share of the image it covers and where it is used. Also describe the overall color scheme and contrast.',
+    models: { gemini: 'gemini-2.5-flash', openai: 'gpt-4o' },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        palette: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              hex: { type: 'string' },
+              name: { type: 'string' },
+              coverage: { type: 'number', minimum: 0, maximum: 1 },
+              usage: { type: 'string' }
+            },
+            required: ['hex', 'name']
+          }
+        },
+        scheme: { type: 'string' },
+        contrast: { type: 'string' }
+      },
+      required: ['palette', 'scheme']
+    }
+  },
+  {
+    name: 'layout',
+    description: 'Describe composition and visual hierarchy',
+    prompt: 'Describe the layout of this image: the main regions and their positions, alignment and grid, spacing, visual hierarchy and what the eye is drawn to first. For interfaces, name the major components (navigation, header, content, sidebar, footer).',
+    models: { gemini: 'gemini-2.5-pro', openai: 'gpt-4o' }
+  },
+  {
+    name: 'accessibility',
+    description: 'Audit for accessibility problems',
+    prompt: 'Audit this image of a user interface or document for accessibility problems: low text contrast, small or hard to read text, reliance on color alone, missing visible labels, small touch targets, unclear focus states and dense or confusing layout. Reference WCAG 2.2 criteria where they apply and suggest a fix for each issue.',
+    models: { gemini: 'gemini-2.5-pro', openai: 'gpt-4o' },
+    outputSchema: issueListSchema
+  },
+  {
+    name: 'ui-bugs',
+    description: 'Find visual bugs in a UI screenshot',
+    prompt: 'Inspect this user interface screenshot for visual bugs: overlapping or clipped elements, text overflow or truncation, misalignment, inconsistent spacing or fonts, broken images or icons, placeholder or debug text, layout that looks broken at this size, and error states. Give the location of each problem and a likely fix.',
+    models: { gemini: 'gemini-2.5-pro', openai: 'gpt-4o' },
+    outputSchema: issueListSchema
+  },
+  {
+    name: 'charts',
+    description: 'Extract the data and trends from a chart',
+    prompt: 'Analyze this chart. Identify the chart type, title, axes with their units and ranges, and legend. Extract the data series with their approximate values, then describe the main trends, outliers and the conclusion the chart supports.',
+    models: { gemini: 'gemini-2.5-pro', openai: 'gpt-4o' },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        chartType: { type: 'string' },
+        title: { type: 'string' },
+        xAxis: { type: 'string' },
+        yAxis: { type: 'string' },
+        series: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              points: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    x: { type: ['string', 'number'] },
+                    y: { type: 'number' }
+                  },
+                  required: ['x', 'y']
+                }
+              }
+            },
+            required: ['name', 'points']
+          }
+        },
+        insights: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['chartType', 'series', 'insights']
+    }
+  },
+  {
+    name: 'diagrams',
+    description: 'Explain a technical diagram',
+    prompt: 'Explain this diagram (architecture, flowchart, sequence, UML, network or similar). List every component or node with its label, the connections between them with direction and labels, any groupings or boundaries, and then describe the overall flow or structure the diagram expresses.',
+    models: { gemini: 'gemini-2.5-pro', openai: 'gpt-4o' }
+  },
+  {
+    name: 'documents',
+    description: 'Summarise a document page and its key fields',
+    prompt: 'This is a document (form, invoice, letter, report or similar). Identify the document type, then extract its key fields such as names, dates, reference numbers, amounts and totals, followed by a short summary of its content. Quote values exactly as printed.',
+    models: { gemini: 'gemini-2.5-pro', openai: 'gpt-4o' }
+  }
+];
+
+/**
+ * Preset Catalog Module
+ * Built-in analysis presets for focused_analyze_image, plus custom presets from the configuration file
+ */
+class PresetCatalog {
+  /**
+   * @param {Object} validator - ValidationUtils instance used to check custom presets
+   */
+  constructor(validator) {
+    this.validator = validator;
+    this.presets = new Map(BUILT_IN_PRESETS.map(preset => [preset.name, preset]));
+  }
+
+  /**
+   * Add or replace presets from the configuration file's "presets" object
+   * @param {Object} entries - Map of name to { description, prompt, models, output_schema }
+   * @throws {ToolError} - CONFIGURATION_ERROR if a preset is malformed
+   */
+  loadPresets(entries) {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'presets must be an object mapping names to presets in the configuration file');
+    }
+
+    for (const [name, entry] of Object.entries(entries)) {
+      if (!/^[a-z][\w-]*$/.test(name)) {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Invalid preset name: ${name}`);
+      }
+      if (!entry || typeof entry.prompt !== 'string') {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Preset "${name}" needs a prompt`);
+      }
+
+      try {
+        this.validator.validatePrompt(entry.prompt);
+        Object.values(entry.models || {}).forEach(model => this.validator.validateModel(model));
+      } catch (error) {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Preset "${name}": ${error.message}`);
+      }
+      const outputSchema = entry.output_schema || entry.outputSchema;
+      if (outputSchema !== undefined && (!outputSchema || typeof outputSchema !== 'object' || !outputSchema.type)) {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Preset "${name}": output_schema must be a JSON Schema object with a type`);
+      }
+
+      this.presets.set(name, {
+        name,
+        description: entry.description || `Custom preset: ${name}`,
+        prompt: entry.prompt,
+        models: entry.models || {},
+        outputSchema
+      });
+    }
+  }
+
+  /**
+   * Get a preset
+   * @param {string} name - Preset name
+   * @returns {AnalysisPreset} - Preset
+   * @throws {ToolError} - INVALID_ARGUMENTS if there is no preset with that name
+   */
+  get(name) {
+    const preset = this.presets.get(name);
+    if (!preset) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Unknown focus_area: ${name}. Valid values: ${this.names().join(', ')}`, { argument: 'focus_area' });
+    }
+    return preset;
+  }
+
+  /**
+   * List preset names, built-in presets first
+   * @returns {string[]} - Preset names
+   */
+  names() {
+    return Array.from(this.presets.keys());
+  }
+
+  /**
+   * List presets
+   * @returns {AnalysisPreset[]} - Presets
+   */
+  list() {
+    return Array.from(this.presets.values());
+  }
+}
+
+module.exports = PresetCatalog;
@@ -0,0 +1,79 @@
+/**
+ * Progress Module
+ * Relays stage updates and partial answers as MCP notifications/progress. Nothing is sent
+ * unless the request carried a progress token (params._meta.progressToken).
+ */
+class ProgressReporter {
+  /**
+   * @param {Function} [sendNotification] - extra.sendNotification of the request handler
+   * @param {string|number} [progressToken] - Progress token from the request
+   * @param {Object} [options] - Reporter options
+   * @param {number} [options.minIntervalMs] - Shortest time between two partial text updates (PROGRESS_INTERVAL_MS)
+   */
+  constructor(sendNotification, progressToken, options = {}) {
+    this.sendNotification = sendNotification;
+    this.progressToken = progressToken;
+    this.minIntervalMs = options.minIntervalMs || parseInt(process.env.PROGRESS_INTERVAL_MS, 10) || 250;
+    this.progress = 0;
+    this.lastPartialAt = 0;
+  }
+
+  /**
+   * Check whether the client asked for progress notifications
+   * @returns {boolean} - True if a progress token was given
+   */
+  get enabled() {
+    return typeof this.sendNotification === 'function' && this.progressToken !== undefined && this.progressToken !== null;
+  }
+
+  /**
+   * Report that a stage started
+   * @param {string} stage - 'preprocessing', 'uploading' or 'generating'
+   * @param {string} [detail] - What the stage works on
+   */
+  stage(stage, detail) {
+    this.send(detail ? `${stage}: ${detail}` : stage);
+  }
+
+  /**
+   * Report the text generated so far. Updates closer together than minIntervalMs are skipped;
+   * the complete text arrives with the tool result.
+   * @param {string} text - Text generated so far
+   */
+  partial(text) {
+    const now = Date.now();
+    if (now - this.lastPartialAt < this.minIntervalMs) {
+      return;
+    }
+    this.lastPartialAt = now;
+    this.send(`generating: ${text}`);
+  }
+
+  /**
+   * Report that one item of a batch finished. Batches send only these updates, so progress counts the finished items.
+   * @param {number} total - Items in the batch
+   * @param {string} detail - What happened to the item
+   */
+  item(total, detail) {
+    this.send(`${this.progress + 1}/${total}: ${detail}`, total);
+  }
+
+  /**
+   * Send one progress notification; delivery failures are logged and otherwise ignored
+   * @param {string} message - Progress message
+   * @param {number} [total] - Total progress, when known
+   */
+  send(message, total) {
+    if (!this.enabled) {
+      return;
+    }
+    this.progress += 1;
+    const params = { progressToken: this.progressToken, progress: this.progress, message };
+    if (total !== undefined) {
+      params.total = total;
+    }
+    this.sendNotification({ method: 'notifications/progress', params }).catch(error => console.error(`Could not send progress: ${error.message}`));
+  }
+}
+
+module.exports = ProgressReporter;
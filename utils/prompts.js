@@ -0,0 +1,167 @@
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * MCP prompt definition.
+ * @typedef {Object} PromptDefinition
+ * @property {string} name - Prompt name shown in client prompt pickers
+ * @property {string} description - One-line summary
+ * @property {Object[]} arguments - Arguments as { name, description, required }
+ * @property {Function} build - (args) => string, the user message text
+ */
+
+/**
+ * Quote an argument for use inside a prompt
+ * @param {string} value - Argument value
+ * @returns {string} - JSON quoted value
+ */
+function quote(value) {
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Append optional free-text instructions to a prompt
+ * @param {string} text - Prompt text
+ * @param {string} [extra] - Extra instructions from the user
+ * @returns {string} - Prompt text
+ */
+function withExtra(text, extra) {
+  return extra && extra.trim() ? `${text}\n\nAdditional instructions: ${extra.trim()}` : text;
+}
+
+const WORKFLOW_PROMPTS = [
+  {
+    name: 'review-ui-screenshot',
+    description: 'Review a UI screenshot for visual bugs and accessibility problems',
+    arguments: [
+      { name: 'image_path', description: 'Path to the screenshot', required: true },
+      { name: 'context', description: 'What the screen is supposed to show (optional)', required: false }
+    ],
+    build: args => withExtra([
+      `Review the user interface screenshot at ${quote(args.image_path)}.`,
+      `1. Call focused_analyze_image with image_path ${quote(args.image_path)} and focus_area "ui-bugs".`,
+      `2. Call focused_analyze_image with image_path ${quote(args.image_path)} and focus_area "accessibility".`,
+      '3. Combine both results into one list of problems ordered by severity, with the location and a concrete fix for each, and finish with a short overall verdict.'
+    ].join('\n'), args.context && `The screen is supposed to show: ${args.context}`)
+  },
+  {
+    name: 'explain-chart',
+    description: 'Extract the data from a chart and explain what it shows',
+    arguments: [
+      { name: 'image_path', description: 'Path to the chart image', required: true },
+      { name: 'question', description: 'A specific question to answer about the chart (optional)', required: false }
+    ],
+    build: args => withExtra([
+      `Explain the chart at ${quote(args.image_path)}.`,
+      `Call focused_analyze_image with image_path ${quote(args.image_path)} and focus_area "charts", then use the extracted series to explain the chart in plain language: what is measured, the main trends, notable outliers and the takeaway.`
+    ].join('\n'), args.question && `Answer this question using the data: ${args.question}`)
+  },
+  {
+    name: 'compare-screenshots',
+    description: 'Find and explain the differences between two screenshots',
+    arguments: [
+      { name: 'before_path', description: 'Path to the reference screenshot', required: true },
+      { name: 'after_path', description: 'Path to the new screenshot', required: true }
+    ],
+    build: args => [
+      `Compare the screenshots ${quote(args.before_path)} (before) and ${quote(args.after_path)} (after).`,
+      `Call diff_images with before_path ${quote(args.before_path)}, after_path ${quote(args.after_path)} and explain set to true.`,
+      'Report the similarity score, list each changed region with what changed, and say whether the changes look intentional or like a visual regression.'
+    ].join('\n')
+  },
+  {
+    name: 'debug-error-screenshot',
+    description: 'Read an error dialog or log screenshot and suggest a fix',
+    arguments: [
+      { name: 'image_path', description: 'Path to the screenshot of the error or log', required: true },
+      { name: 'context', description: 'What you were doing when the error appeared (optional)', required: false }
+    ],
+    build: args => withExtra([
+      `Diagnose the error shown in ${quote(args.image_path)}.`,
+      `1. Call extract_text with image_path ${quote(args.image_path)} and format "plain" to get the exact text.`,
+      '2. Quote the key error message and any stack frames or codes exactly.',
+      '3. Explain the most likely cause and give concrete steps to fix it.'
+    ].join('\n'), args.context && `Context: ${args.context}`)
+  }
+];
+
+/**
+ * Prompt Library Module
+ * Reusable analysis prompts published through the MCP prompts capability: curated workflows
+ * plus one prompt per focus_area preset. The prompts tell the client's model which tools to call.
+ */
+class PromptLibrary {
+  /**
+   * @param {Object} presetCatalog - PresetCatalog whose presets are published as focus-<name> prompts
+   */
+  constructor(presetCatalog) {
+    this.presetCatalog = presetCatalog;
+  }
+
+  /**
+   * Build the prompt definition for a preset
+   * @param {Object} preset - Preset from the catalog
+   * @returns {PromptDefinition} - Prompt definition
+   */
+  presetPrompt(preset) {
+    return {
+      name: `focus-${preset.name}`,
+      description: `${preset.description} (focus_area "${preset.name}")`,
+      arguments: [
+        { name: 'image_path', description: 'Path to the image file', required: true },
+        { name: 'instructions', description: 'Anything to pay particular attention to (optional)', required: false }
+      ],
+      build: args => withExtra(
+        `Call focused_analyze_image with image_path ${quote(args.image_path)} and focus_area "${preset.name}", then present the findings clearly.`,
+        args.instructions
+      )
+    };
+  }
+
+  /**
+   * List every prompt definition
+   * @returns {PromptDefinition[]} - Prompt definitions
+   */
+  definitions() {
+    return WORKFLOW_PROMPTS.concat(this.presetCatalog.list().map(preset => this.presetPrompt(preset)));
+  }
+
+  /**
+   * List prompts for prompts/list
+   * @returns {Object[]} - Prompts as { name, description, arguments }
+   */
+  list() {
+    return this.definitions().map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+  }
+
+  /**
+   * Render a prompt for prompts/get
+   * @param {string} name - Prompt name
+   * @param {Object} [args] - Prompt arguments (strings)
+   * @returns {Object} - { description, messages }
+   * @throws {ToolError} - INVALID_ARGUMENTS for an unknown prompt or a missing required argument
+   */
+  get(name, args = {}) {
+    const definition = this.definitions().find(candidate => candidate.name === name);
+    if (!definition) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Unknown prompt: ${name}`);
+    }
+
+    for (const argument of definition.arguments) {
+      if (argument.required && !(typeof args[argument.name] === 'string' && args[argument.name].trim())) {
+        throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Prompt ${name} requires the ${argument.name} argument`, { argument: argument.name });
+      }
+    }
+
+    return {
+      description: definition.description,
+      messages: [
+        {
+          role: 'user',
+          content: { type: 'text', text: definition.build(args) }
+        }
+      ]
+    };
+  }
+}
+
+module.exports = PromptLibrary;
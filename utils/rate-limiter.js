@@ -0,0 +1,116 @@
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Rate Limiter Module
+ * One token bucket per provider, so requests are spaced out locally instead of
+ * running into the provider's quota (429) responses
+ */
+class ProviderRateLimiter {
+  /**
+   * @param {Object} [limits] - { provider: { requestsPerMinute, burst } } (defaults to PROVIDER_RATE_LIMITS,
+   *   e.g. "gemini:60,openrouter:20:5" where the optional third field is the burst size)
+   * @throws {ToolError} - CONFIGURATION_ERROR if a limit is malformed
+   */
+  constructor(limits) {
+    this.buckets = new Map();
+    const entries = limits !== undefined ? limits : this.parseEnv(process.env.PROVIDER_RATE_LIMITS);
+
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'limits.providers must be an object keyed by provider name in the configuration file');
+    }
+    for (const [provider, limit] of Object.entries(entries)) {
+      const burst = limit && limit.burst !== undefined ? limit.burst : 1;
+      if (!limit || !(limit.requestsPerMinute > 0) || !Number.isInteger(burst) || burst < 1) {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Invalid rate limit for ${provider}: expected { "requestsPerMinute": number, "burst": integer }`);
+      }
+      this.buckets.set(provider, {
+        capacity: burst,
+        tokens: burst,
+        perMs: limit.requestsPerMinute / 60000,
+        updatedAt: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Parse PROVIDER_RATE_LIMITS
+   * @param {string} [value] - Comma separated provider:requestsPerMinute[:burst] entries
+   * @returns {Object} - { provider: { requestsPerMinute, burst } }
+   */
+  parseEnv(value) {
+    const limits = {};
+    for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+      const [provider, requestsPerMinute, burst] = entry.split(':');
+      limits[provider] = {
+        requestsPerMinute: Number(requestsPerMinute),
+        burst: burst === undefined ? undefined : Number(burst)
+      };
+    }
+    return limits;
+  }
+
+  /**
+   * Take a token from a provider's bucket, waiting until one is free. Providers without a limit pass straight through.
+   * @param {string} provider - Provider name
+   * @param {AbortSignal} [signal] - Ends the wait early
+   * @returns {Promise<number>} - Time waited in milliseconds
+   * @throws {ToolError} - CANCELLED if the signal fires while waiting
+   */
+  async acquire(provider, signal) {
+    const bucket = this.buckets.get(provider);
+    if (!bucket) {
+      return 0;
+    }
+
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.perMs);
+    bucket.updatedAt = now;
+    // Reserving the token before waiting queues concurrent callers behind each other
+    bucket.tokens -= 1;
+    if (bucket.tokens >= 0) {
+      return 0;
+    }
+
+    const delayMs = Math.ceil(-bucket.tokens / bucket.perMs);
+    try {
+      await this.wait(delayMs, signal);
+    } catch (error) {
+      bucket.tokens += 1;
+      throw error;
+    }
+    return delayMs;
+  }
+
+  /**
+   * Wait for a token
+   * @param {number} delayMs - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Ends the wait early
+   * @returns {Promise<void>}
+   * @throws {ToolError} - CANCELLED if the signal fires
+   */
+  wait(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new ToolError(ErrorCodes.CANCELLED, 'Request was cancelled'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ToolError(ErrorCodes.CANCELLED, 'Request was cancelled'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, delayMs);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
+
+module.exports = ProviderRateLimiter;
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * In-memory cache backend. Entries are kept in least recently used order.
+ */
+class MemoryCacheBackend {
+  constructor() {
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Entry as { storedAt, bytes, value }, or null
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    // Re-insert so the Map's first key stays the least recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry as { storedAt, bytes, value }
+   */
+  set(key, entry) {
+    this.delete(key);
+    this.entries.set(key, entry);
+    this.totalBytes += entry.bytes;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.totalBytes -= entry.bytes;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Drop least recently used entries until both limits are met
+   * @param {number} maxEntries - Largest number of entries
+   * @param {number} maxBytes - Largest total size in bytes
+   */
+  prune(maxEntries, maxBytes) {
+    while (this.entries.size > maxEntries || (this.entries.size > 0 && this.totalBytes > maxBytes)) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * On-disk cache backend: one JSON file per entry. File modification times track
+ * recent use, so entries survive restarts and are shared between server processes.
+ */
+class DiskCacheBackend {
+  /**
+   * @param {string} directory - Cache directory, created on first write
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {string} - Path of the entry's file
+   */
+  filePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Entry as { storedAt, bytes, value }, or null if missing or unreadable
+   */
+  get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(this.filePath(key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+    try {
+      const now = new Date();
+      fs.utimesSync(this.filePath(key), now, now);
+    } catch (error) {
+      // Another process may have pruned the file; the entry was still read
+    }
+    return entry;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry as { storedAt, bytes, value }
+   */
+  set(key, entry) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    // Write then rename so a concurrent reader never sees a partial file
+    const tempPath = `${this.filePath(key)}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entry));
+    fs.renameSync(tempPath, this.filePath(key));
+  }
+
+  /**
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    fs.rmSync(this.filePath(key), { force: true });
+  }
+
+  /**
+   * Drop the least recently used files until both limits are met
+   * @param {number} maxEntries - Largest number of entries
+   * @param {number} maxBytes - Largest total size in bytes
+   */
+  prune(maxEntries, maxBytes) {
+    let files;
+    try {
+      files = fs.readdirSync(this.directory)
+        .filter(name => name.endsWith('.json'))
+        .map(name => {
+          const stats = fs.statSync(path.join(this.directory, name));
+          return { name, size: stats.size, used: stats.mtimeMs };
+        })
+        .sort((a, b) => a.used - b.used);
+    } catch (error) {
+      return;
+    }
+
+    let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    while (files.length > maxEntries || (files.length > 0 && totalBytes > maxBytes)) {
+      const file = files.shift();
+      totalBytes -= file.size;
+      fs.rmSync(path.join(this.directory, file.name), { force: true });
+    }
+  }
+}
+
+/**
+ * Response Cache Module
+ * Content-addressed cache of provider answers, keyed on the SHA-256 of the image bytes sent,
+ * the prompt, the provider and the model, so repeated analyses don't hit the paid API
+ */
+class ResponseCache {
+  /**
+   * @param {Object} [options] - Cache options (defaults come from the environment)
+   * @param {string} [options.backend] - 'memory', 'disk' or 'off' (RESPONSE_CACHE)
+   * @param {string} [options.directory] - Directory of the disk backend (RESPONSE_CACHE_DIR)
+   * @param {number} [options.ttlMs] - Age after which an entry is ignored (RESPONSE_CACHE_TTL_MS)
+   * @param {number} [options.maxEntries] - Largest number of entries (RESPONSE_CACHE_MAX_ENTRIES)
+   * @param {number} [options.maxBytes] - Largest total size of the entries (RESPONSE_CACHE_MAX_BYTES)
+   * @throws {ToolError} - CONFIGURATION_ERROR if the backend is not 'memory', 'disk' or 'off'
+   */
+  constructor(options = {}) {
+    this.backendName = (options.backend || process.env.RESPONSE_CACHE || 'memory').toLowerCase();
+    this.directory = options.directory || process.env.RESPONSE_CACHE_DIR
+      || path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'glm-image-mcp');
+    this.ttlMs = options.ttlMs || parseInt(process.env.RESPONSE_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500;
+    this.maxBytes = options.maxBytes || parseInt(process.env.RESPONSE_CACHE_MAX_BYTES, 10) || 50 * 1024 * 1024;
+
+    if (this.backendName === 'memory') {
+      this.backend = new MemoryCacheBackend();
+    } else if (this.backendName === 'disk') {
+      this.backend = new DiskCacheBackend(this.directory);
+    } else if (this.backendName === 'off') {
+      this.backend = null;
+    } else {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Invalid RESPONSE_CACHE "${this.backendName}": expected memory, disk or off`);
+    }
+  }
+
+  /**
+   * Check whether caching is turned on
+   * @returns {boolean} - False when RESPONSE_CACHE is 'off'
+   */
+  get enabled() {
+    return this.backend !== null;
+  }
+
+  /**
+   * Build the cache key of a provider request
+   * @param {Object} config - Provider configuration (see ProviderRegistry#resolveConfig)
+   * @param {string} prompt - Analysis prompt
+   * @param {Object[]} images - Images as sent, { base64, mimeType }
+   * @param {Object} [outputSchema] - JSON Schema requested for the answer
+   * @returns {string} - SHA-256 hex digest
+   */
+  key(config, prompt, images, outputSchema) {
+    const imageHashes = images.map(image => crypto.createHash('sha256').update(Buffer.from(image.base64, 'base64')).digest('hex'));
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([config.provider, config.model, prompt, imageHashes, outputSchema || null]))
+      .digest('hex');
+  }
+
+  /**
+   * Look up a cached answer. Backend failures are logged and treated as a miss.
+   * @param {string} key - Cache key
+   * @returns {Object|null} - { value, storedAt }, or null on a miss or an expired entry
+   */
+  get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+    try {
+      const entry = this.backend.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (Date.now() - Date.parse(entry.storedAt) > this.ttlMs) {
+        this.backend.delete(key);
+        return null;
+      }
+      return { value: entry.value, storedAt: entry.storedAt };
+    } catch (error) {
+      console.error(`Response cache read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store an answer. Backend failures are logged and otherwise ignored.
+   * @param {string} key - Cache key
+   * @param {Object} value - JSON-serializable answer
+   */
+  set(key, value) {
+    if (!this.enabled) {
+      return;
+    }
+    const entry = { storedAt: new Date().toISOString(), value };
+    entry.bytes = Buffer.byteLength(JSON.stringify(entry));
+    try {
+      this.backend.set(key, entry);
+      this.backend.prune(this.maxEntries, this.maxBytes);
+    } catch (error) {
+      console.error(`Response cache write failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,126 @@
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Retry Module
+ * Retries provider calls on rate limits, server errors and network failures
+ * using exponential backoff with full jitter
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options] - Policy options (defaults come from the environment)
+   * @param {number} [options.maxAttempts] - Total attempts per provider, including the first (RETRY_MAX_ATTEMPTS)
+   * @param {number} [options.baseDelayMs] - Delay before the first retry (RETRY_BASE_DELAY_MS)
+   * @param {number} [options.maxDelayMs] - Longest single wait, including Retry-After (RETRY_MAX_DELAY_MS)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 3;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 500;
+    this.maxDelayMs = options.maxDelayMs || parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 30000;
+    this.retryableStatuses = [408, 425, 429, 500, 502, 503, 504];
+  }
+
+  /**
+   * Parse a Retry-After header value
+   * @param {string|null} value - Header value: delay in seconds or an HTTP date
+   * @returns {number|null} - Delay in milliseconds, or null if absent or unparseable
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+      return Math.round(parseFloat(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Check whether an error is worth retrying against the same provider
+   * @param {Error} error - Error thrown by the provider call
+   * @returns {boolean} - True for rate limits, server errors and network failures
+   */
+  isRetryable(error) {
+    if (!(error instanceof ToolError) || error.code !== ErrorCodes.PROVIDER_ERROR || !error.details) {
+      return false;
+    }
+    return Boolean(error.details.network) || this.retryableStatuses.includes(error.details.status);
+  }
+
+  /**
+   * Compute the wait before the next attempt
+   * @param {number} attempt - Number of attempts made so far (1 after the first failure)
+   * @param {number|null} retryAfterMs - Delay requested by the provider
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(attempt, retryAfterMs) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+    const jittered = Math.round(Math.random() * ceiling);
+    return retryAfterMs === null || retryAfterMs === undefined ? jittered : Math.max(retryAfterMs, jittered);
+  }
+
+  /**
+   * Run an operation, retrying retryable failures
+   * @param {Function} operation - async (attempt) => result
+   * @param {Function} [onRetry] - Called with (error, attempt, delayMs) before each wait
+   * @param {AbortSignal} [signal] - Cancels the wait between attempts
+   * @returns {Promise<*>} - Result of the first successful attempt
+   * @throws {Error} - The last error once attempts are exhausted or the error is not retryable
+   */
+  async execute(operation, onRetry, signal) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (attempt >= this.maxAttempts || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const retryAfterMs = error.details.retryAfterMs;
+        // A provider asking us to wait longer than we are willing to is treated as a hard failure
+        if (retryAfterMs > this.maxDelayMs) {
+          throw error;
+        }
+
+        const delayMs = this.getDelay(attempt, retryAfterMs);
+        if (onRetry) {
+          onRetry(error, attempt, delayMs);
+        }
+        await this.sleep(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Wait between attempts
+   * @param {number} delayMs - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Ends the wait early
+   * @returns {Promise<void>}
+   * @throws {ToolError} - CANCELLED if the signal fires
+   */
+  sleep(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new ToolError(ErrorCodes.CANCELLED, 'Request was cancelled'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ToolError(ErrorCodes.CANCELLED, 'Request was cancelled'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, delayMs);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,43 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Server-Sent Events Module
+ * Reads the `data` payloads of an SSE response body, as sent by streaming provider APIs
+ */
+
+/**
+ * Read the events of a server-sent events stream
+ * @param {AsyncIterable<Buffer>} stream - Response body
+ * @returns {AsyncGenerator<string>} - The data of each event (multi-line data joined with "\n"); comments are skipped
+ */
+async function* readEvents(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  const dataOf = (block) => {
+    const lines = block.split(/\r?\n/).filter(line => line.startsWith('data:'));
+    return lines.length > 0 ? lines.map(line => line.slice(line.startsWith('data: ') ? 6 : 5)).join('\n') : null;
+  };
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      const data = dataOf(block);
+      if (data !== null) {
+        yield data;
+      }
+    }
+  }
+
+  // A final event without the trailing blank line
+  buffer += decoder.end();
+  const data = dataOf(buffer);
+  if (data !== null) {
+    yield data;
+  }
+}
+
+module.exports = { readEvents };
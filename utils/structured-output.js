@@ -0,0 +1,111 @@
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Structured Output Module
+ * Turns model replies into JSON that conforms to a caller-supplied JSON Schema.
+ * Providers with native JSON modes get the schema in the request; every provider is
+ * also told about it in the prompt, and replies are repaired and validated here.
+ */
+class StructuredOutput {
+  /**
+   * @param {Object} validator - ValidationUtils instance used to check results against the schema
+   */
+  constructor(validator) {
+    this.validator = validator;
+  }
+
+  /**
+   * Check that an output_schema argument is usable
+   * @param {Object} schema - JSON Schema supplied by the caller
+   * @returns {Object} - The schema
+   * @throws {ToolError} - INVALID_ARGUMENTS if the schema is not an object with a type
+   */
+  validateOutputSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'output_schema must be a JSON Schema object', { argument: 'output_schema' });
+    }
+    if (!schema.type && !schema.anyOf && !schema.oneOf) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'output_schema must declare a type (e.g. "object")', { argument: 'output_schema' });
+    }
+    return schema;
+  }
+
+  /**
+   * Append the schema instructions to a prompt
+   * @param {string} prompt - Analysis prompt
+   * @param {Object} schema - JSON Schema
+   * @returns {string} - Prompt asking for JSON only
+   */
+  buildPrompt(prompt, schema) {
+    return `${prompt}\n\nRespond only with JSON that conforms to this JSON Schema, with no explanation or code fences:\n${JSON.stringify(schema)}`;
+  }
+
+  /**
+   * Build the follow-up prompt asking the model to fix a non-conforming reply
+   * @param {string} text - Previous reply
+   * @param {string[]} errors - Parse or validation errors
+   * @param {Object} schema - JSON Schema
+   * @returns {string} - Repair prompt
+   */
+  buildRepairPrompt(text, errors, schema) {
+    return [
+      'The following reply was supposed to be JSON conforming to a JSON Schema, but it is not.',
+      `Problems: ${errors.join('; ')}`,
+      `Schema: ${JSON.stringify(schema)}`,
+      `Reply:\n${text}`,
+      'Return only the corrected JSON, with no explanation or code fences.'
+    ].join('\n\n');
+  }
+
+  /**
+   * Extract JSON from a reply, repairing common problems: code fences, surrounding
+   * prose and trailing commas
+   * @param {string} text - Model reply
+   * @returns {Object} - { value, error } where error is set if no JSON could be parsed
+   */
+  extractJson(text) {
+    const candidates = [];
+    const trimmed = String(text || '').trim();
+    candidates.push(trimmed);
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+      candidates.push(fenced[1].trim());
+    }
+
+    // The outermost object or array, ignoring prose before and after it
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      candidates.push(trimmed.slice(start, end + 1));
+    }
+
+    let firstError = null;
+    for (const candidate of candidates) {
+      for (const source of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+        try {
+          return { value: JSON.parse(source), error: null };
+        } catch (error) {
+          firstError = firstError || error.message;
+        }
+      }
+    }
+    return { value: undefined, error: `reply is not valid JSON (${firstError})` };
+  }
+
+  /**
+   * Parse a reply and check it against the schema
+   * @param {string} text - Model reply
+   * @param {Object} schema - JSON Schema
+   * @returns {Object} - { value, errors } where errors is empty if the reply conforms
+   */
+  parse(text, schema) {
+    const { value, error } = this.extractJson(text);
+    if (error) {
+      return { value, errors: [error] };
+    }
+    return { value, errors: this.validator.validateSchema(value, schema, 'output') };
+  }
+}
+
+module.exports = StructuredOutput;
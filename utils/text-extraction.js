@@ -0,0 +1,262 @@
+/**
+ * Text Extraction Module
+ * Prompt, schema, tile merging and rendering for the extract_text (OCR) tool.
+ * The provider transcribes text as blocks with [ymin, xmin, ymax, xmax] 0-1000 boxes;
+ * blocks from tiles are mapped back to source pixels and merged in reading order.
+ */
+class TextExtractor {
+  /**
+   * @param {Object} imageProcessor - ImageProcessor used to convert normalized boxes to pixels
+   */
+  constructor(imageProcessor) {
+    this.imageProcessor = imageProcessor;
+    this.formats = ['plain', 'markdown', 'json'];
+    this.blockTypes = ['heading', 'paragraph', 'list', 'table', 'code', 'caption', 'other'];
+    // Fits every built-in provider's max dimension, so tiles are sent without downscaling
+    this.defaultTileSize = parseInt(process.env.OCR_TILE_SIZE, 10) || 1536;
+
+    this.outputSchema = {
+      type: 'object',
+      properties: {
+        blocks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: this.blockTypes },
+              box_2d: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 },
+              lines: { type: 'array', items: { type: 'string' } },
+              rows: { type: 'array', items: { type: 'array', items: { type: 'string' } } }
+            },
+            required: ['type', 'box_2d', 'lines']
+          }
+        }
+      },
+      required: ['blocks']
+    };
+  }
+
+  /**
+   * Build the transcription prompt
+   * @param {Object} [tile] - { index, count } when the image is one tile of a larger image
+   * @returns {string} - Prompt
+   */
+  buildPrompt(tile) {
+    const prompt = [
+      'Transcribe all text in this image exactly as written, in natural reading order.',
+      `Group it into blocks of type ${this.blockTypes.join(', ')}.`,
+      'For each block give box_2d as [ymin, xmin, ymax, xmax] normalized to 0-1000, and lines with one entry per visible line, keeping indentation.',
+      'For tables also give rows as arrays of cell text, header row first.',
+      'Do not summarise, translate or correct anything; logs, code and error messages must be copied character for character.'
+    ];
+    if (tile && tile.count > 1) {
+      prompt.push(`This is tile ${tile.index + 1} of ${tile.count} cut from a larger image; transcribe text cut off at the edges as far as it is visible.`);
+    }
+    return prompt.join(' ');
+  }
+
+  /**
+   * Convert the blocks returned for one tile to source image coordinates
+   * @param {Object[]} blocks - Blocks from the provider
+   * @param {Object} tile - Tile as { left, top, width, height }
+   * @returns {Object[]} - Blocks as { type, lines, rows, box }
+   */
+  toSourceBlocks(blocks, tile) {
+    return blocks
+      .filter(block => block.lines.length > 0 || (block.rows && block.rows.length > 0))
+      .map(block => {
+        const converted = {
+          type: block.type,
+          lines: block.lines,
+          box: this.imageProcessor.denormalizeBox(block.box_2d, tile.width, tile.height, tile)
+        };
+        if (block.type === 'table' && block.rows && block.rows.length > 0) {
+          converted.rows = block.rows;
+        }
+        return converted;
+      });
+  }
+
+  /**
+   * Merge the blocks of every tile into one list in reading order. Each tile owns the area up to
+   * the middle of its overlaps, so blocks transcribed twice are dropped; lines cut by a vertical
+   * tile edge are joined back together.
+   * @param {Object[][]} tileBlocks - Blocks per tile (from toSourceBlocks), in the order of tiles
+   * @param {Object[]} tiles - Tiles from ImageProcessor#planTiles
+   * @returns {Object[]} - Blocks in reading order
+   */
+  mergeTiles(tileBlocks, tiles) {
+    if (tiles.length === 1) {
+      return tileBlocks[0];
+    }
+
+    const boundaries = (items, start, length) => items.map((item, index) => ({
+      from: index === 0 ? -Infinity : (item[start] + items[index - 1][start] + items[index - 1][length]) / 2,
+      to: index === items.length - 1 ? Infinity : (items[index + 1][start] + item[start] + item[length]) / 2
+    }));
+    const columns = boundaries(tiles.filter(tile => tile.row === 0), 'left', 'width');
+    const rows = boundaries(tiles.filter(tile => tile.column === 0), 'top', 'height');
+
+    const owned = tiles.map((tile, index) => tileBlocks[index].filter(block => {
+      if (!block.box) {
+        return true;
+      }
+      const centerX = block.box.x + block.box.width / 2;
+      const centerY = block.box.y + block.box.height / 2;
+      return centerX >= columns[tile.column].from && centerX < columns[tile.column].to
+        && centerY >= rows[tile.row].from && centerY < rows[tile.row].to;
+    }));
+
+    const merged = [];
+    const rowCount = rows.length;
+    for (let row = 0; row < rowCount; row++) {
+      const rowTiles = tiles.map((tile, index) => ({ tile, blocks: owned[index] })).filter(entry => entry.tile.row === row);
+      let pending = rowTiles[0].blocks.slice();
+
+      for (let column = 1; column < rowTiles.length; column++) {
+        const edge = columns[column].from;
+        const overlap = rowTiles[column - 1].tile.left + rowTiles[column - 1].tile.width - rowTiles[column].tile.left;
+        const next = [];
+        for (const block of rowTiles[column].blocks) {
+          const partner = pending.find(candidate => this.isSplitPair(candidate, block, edge, overlap));
+          if (partner) {
+            this.joinSplitPair(partner, block);
+          } else {
+            next.push(block);
+          }
+        }
+        pending = pending.concat(next);
+      }
+      merged.push(...pending);
+    }
+    return merged;
+  }
+
+  /**
+   * Check whether two blocks are the halves of one block cut by a vertical tile edge
+   * @param {Object} left - Block from the tile on the left
+   * @param {Object} right - Block from the tile on the right
+   * @param {number} edge - x coordinate of the boundary between the tiles
+   * @param {number} overlap - Width of the tiles' overlap
+   * @returns {boolean} - True if the blocks should be joined
+   */
+  isSplitPair(left, right, edge, overlap) {
+    if (!left.box || !right.box || left.type === 'table' || right.type === 'table') {
+      return false;
+    }
+    const touches = left.box.x + left.box.width >= edge - overlap && right.box.x <= edge + overlap;
+    const top = Math.max(left.box.y, right.box.y);
+    const bottom = Math.min(left.box.y + left.box.height, right.box.y + right.box.height);
+    const shared = bottom - top;
+    return touches && shared >= 0.5 * Math.min(left.box.height, right.box.height);
+  }
+
+  /**
+   * Join the right half of a split block onto its left half (in place)
+   * @param {Object} left - Block from the tile on the left
+   * @param {Object} right - Block from the tile on the right
+   */
+  joinSplitPair(left, right) {
+    if (left.lines.length === right.lines.length) {
+      left.lines = left.lines.map((line, index) => this.joinOverlapping(line, right.lines[index]));
+    } else {
+      left.lines = left.lines.concat(right.lines);
+    }
+    const x = Math.min(left.box.x, right.box.x);
+    const y = Math.min(left.box.y, right.box.y);
+    left.box = {
+      x,
+      y,
+      width: Math.max(left.box.x + left.box.width, right.box.x + right.box.width) - x,
+      height: Math.max(left.box.y + left.box.height, right.box.y + right.box.height) - y
+    };
+  }
+
+  /**
+   * Join two pieces of a line, dropping the text both tiles transcribed from their overlap
+   * @param {string} left - Start of the line
+   * @param {string} right - End of the line
+   * @returns {string} - Joined line
+   */
+  joinOverlapping(left, right) {
+    for (let length = Math.min(left.length, right.length); length >= 3; length--) {
+      if (left.endsWith(right.slice(0, length))) {
+        return left + right.slice(length);
+      }
+    }
+    return `${left} ${right}`.trim();
+  }
+
+  /**
+   * Render blocks in the requested format
+   * @param {Object[]} blocks - Blocks in reading order
+   * @param {string} format - 'plain', 'markdown' or 'json'
+   * @param {Object} size - Source image { width, height }, included in JSON output
+   * @returns {string} - Rendered text
+   */
+  render(blocks, format, size) {
+    if (format === 'json') {
+      return JSON.stringify({ width: size.width, height: size.height, blocks }, null, 2);
+    }
+    return blocks
+      .map(block => (format === 'markdown' ? this.renderMarkdown(block) : this.renderPlain(block)))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Render a block as plain text (table cells separated by tabs)
+   * @param {Object} block - Block
+   * @returns {string} - Text
+   */
+  renderPlain(block) {
+    if (block.rows) {
+      return block.rows.map(row => row.join('\t')).join('\n');
+    }
+    return block.lines.join('\n');
+  }
+
+  /**
+   * Render a block as Markdown
+   * @param {Object} block - Block
+   * @returns {string} - Markdown
+   */
+  renderMarkdown(block) {
+    switch (block.type) {
+      case 'heading':
+        return block.lines.map(line => (/^#{1,6}\s/.test(line) ? line : `## ${line}`)).join('\n');
+      case 'list':
+        return block.lines.map(line => (/^\s*([-*+]|\d+[.)])\s/.test(line) ? line : `- ${line}`)).join('\n');
+      case 'code':
+        return `\`\`\`\n${block.lines.join('\n')}\n\`\`\``;
+      case 'caption':
+        return block.lines.map(line => `*${line}*`).join('\n');
+      case 'table':
+        if (block.rows) {
+          return this.renderMarkdownTable(block.rows);
+        }
+        return block.lines.join('\n');
+      default:
+        // Hard line breaks keep the line structure of the source
+        return block.lines.join('  \n');
+    }
+  }
+
+  /**
+   * Render table rows as a Markdown table, the first row being the header
+   * @param {string[][]} rows - Cell text per row
+   * @returns {string} - Markdown table
+   */
+  renderMarkdownTable(rows) {
+    const width = Math.max(...rows.map(row => row.length));
+    const cell = value => String(value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const line = row => `| ${Array.from({ length: width }, (_, index) => cell(row[index])).join(' | ')} |`;
+    return [
+      line(rows[0]),
+      `|${' --- |'.repeat(width)}`,
+      ...rows.slice(1).map(line)
+    ].join('\n');
+  }
+}
+
+module.exports = TextExtractor;
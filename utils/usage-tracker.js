@@ -0,0 +1,165 @@
+const { ErrorCodes, ToolError } = require('./errors');
+
+/**
+ * Built-in prices in USD per million tokens, keyed "provider/model" ("provider/*" matches any model).
+ * List prices change; override them with "prices" in the configuration file.
+ */
+const DEFAULT_PRICES = {
+  'gemini/gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini/gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'openrouter/x-ai/grok-4-fast:free': { input: 0, output: 0 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'anthropic/claude-sonnet-4-5': { input: 3, output: 15 },
+  'local/*': { input: 0, output: 0 }
+};
+
+/**
+ * Usage Tracker Module
+ * Records token counts, estimated cost and latency of provider calls, and totals them
+ * per provider and model for the session
+ */
+class UsageTracker {
+  constructor() {
+    this.currency = 'USD';
+    this.prices = { ...DEFAULT_PRICES };
+    this.startedAt = new Date().toISOString();
+    this.models = new Map();
+  }
+
+  /**
+   * Add or replace prices from the configuration file
+   * @param {Object} prices - { "provider/model": { input, output } } in USD per million tokens
+   * @throws {ToolError} - CONFIGURATION_ERROR if a price is malformed
+   */
+  loadPrices(prices) {
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, 'prices must be an object keyed by "provider/model" in the configuration file');
+    }
+    for (const [key, price] of Object.entries(prices)) {
+      const valid = key.includes('/') && price && ['input', 'output'].every(field => typeof price[field] === 'number' && price[field] >= 0);
+      if (!valid) {
+        throw new ToolError(ErrorCodes.CONFIGURATION_ERROR, `Invalid price "${key}": expected "provider/model": { "input": number, "output": number } in USD per million tokens`);
+      }
+      this.prices[key] = { input: price.input, output: price.output };
+    }
+  }
+
+  /**
+   * Look up the price of a model
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @returns {Object|null} - { input, output } in USD per million tokens, or null if unknown
+   */
+  price(provider, model) {
+    return this.prices[`${provider}/${model}`] || this.prices[`${provider}/*`] || null;
+  }
+
+  /**
+   * Get the running totals of a provider and model
+   * @param {Object} config - Provider configuration
+   * @returns {Object} - Totals entry
+   */
+  entry(config) {
+    const key = `${config.provider}/${config.model}`;
+    if (!this.models.has(key)) {
+      this.models.set(key, {
+        provider: config.provider,
+        model: config.model,
+        calls: 0,
+        cachedCalls: 0,
+        failedCalls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        unpricedCalls: 0,
+        latencyMs: 0
+      });
+    }
+    return this.models.get(key);
+  }
+
+  /**
+   * Record a successful provider call
+   * @param {Object} config - Provider configuration
+   * @param {Object|null} tokens - { inputTokens, outputTokens } reported by the provider, or null
+   * @param {number} latencyMs - Time from sending the request to the complete reply
+   * @returns {Object} - { inputTokens, outputTokens, cost, latencyMs }; tokens and cost are null when unknown
+   */
+  record(config, tokens, latencyMs) {
+    const price = this.price(config.provider, config.model);
+    const usage = {
+      inputTokens: tokens ? tokens.inputTokens : null,
+      outputTokens: tokens ? tokens.outputTokens : null,
+      cost: tokens && price ? (tokens.inputTokens * price.input + tokens.outputTokens * price.output) / 1e6 : null,
+      latencyMs
+    };
+
+    const entry = this.entry(config);
+    entry.calls += 1;
+    entry.inputTokens += usage.inputTokens || 0;
+    entry.outputTokens += usage.outputTokens || 0;
+    entry.latencyMs += latencyMs;
+    if (usage.cost === null) {
+      entry.unpricedCalls += 1;
+    } else {
+      entry.cost += usage.cost;
+    }
+    return usage;
+  }
+
+  /**
+   * Record an answer served from the response cache (no tokens are spent)
+   * @param {Object} config - Provider configuration
+   * @returns {Object} - { inputTokens, outputTokens, cost, latencyMs }, all zero
+   */
+  recordCacheHit(config) {
+    this.entry(config).cachedCalls += 1;
+    return { inputTokens: 0, outputTokens: 0, cost: 0, latencyMs: 0 };
+  }
+
+  /**
+   * Record a failed provider call
+   * @param {Object} config - Provider configuration
+   */
+  recordFailure(config) {
+    this.entry(config).failedCalls += 1;
+  }
+
+  /**
+   * Add up the usage of several calls
+   * @param {Object[]} usages - Results of record or recordCacheHit
+   * @returns {Object} - { inputTokens, outputTokens, cost, latencyMs }; a field is null only if no call reported it
+   */
+  combine(usages) {
+    const total = {};
+    for (const field of ['inputTokens', 'outputTokens', 'cost', 'latencyMs']) {
+      const values = usages.map(usage => usage[field]).filter(value => typeof value === 'number');
+      total[field] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+    }
+    return total;
+  }
+
+  /**
+   * Summarize the session per provider and model. calls counts successful provider requests and
+   * attemptedCalls adds the failed ones; averageLatencyMs is over successful requests only.
+   * @returns {Object} - { since, currency, totals, models } where models are sorted by cost, then attempted calls
+   */
+  report() {
+    const models = Array.from(this.models.values())
+      .map(({ latencyMs, ...entry }) => ({
+        ...entry,
+        attemptedCalls: entry.calls + entry.failedCalls,
+        averageLatencyMs: entry.calls > 0 ? Math.round(latencyMs / entry.calls) : null
+      }))
+      .sort((a, b) => b.cost - a.cost || b.attemptedCalls - a.attemptedCalls);
+
+    const totals = {};
+    for (const field of ['attemptedCalls', 'calls', 'cachedCalls', 'failedCalls', 'inputTokens', 'outputTokens', 'cost', 'unpricedCalls']) {
+      totals[field] = models.reduce((sum, entry) => sum + entry[field], 0);
+    }
+    return { since: this.startedAt, currency: this.currency, totals, models };
+  }
+}
+
+module.exports = UsageTracker;
@@ -1,16 +1,27 @@
 const fs = require('fs');
 const path = require('path');
+const { ErrorCodes, ToolError } = require('./errors');
 
 /**
  * Input Validation Module
  * Validates and sanitizes input parameters for the MCP
  */
 class ValidationUtils {
-  constructor() {
-    this.supportedImageFormats = ['.jpg', '.jpeg', '.png', '.webp', '.bmp', '.tiff'];
+  /**
+   * @param {Object} [options] - Validation options
+   * @param {string[]} [options.providers] - Registered provider names accepted by validateProvider
+   * @param {Object} [options.sandbox] - PathSandbox that file paths must pass
+   */
+  constructor(options = {}) {
+    this.validProviders = options.providers || ['openrouter', 'gemini', 'openai', 'anthropic', 'local'];
+    this.sandbox = options.sandbox || null;
+    this.supportedImageFormats = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp', '.tif', '.tiff'];
+    this.supportedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif', 'image/bmp', 'image/x-ms-bmp', 'image/tiff'];
+    this.imageSourceArguments = ['image_path', 'image_url', 'image_base64'];
     this.maxFileSize = 50 * 1024 * 1024; // 50MB
     this.minPromptLength = 3;
     this.maxPromptLength = 1000;
+    this.maxCompareImages = 10;
   }
 
   /**
@@ -21,34 +32,182 @@ class ValidationUtils {
    */
   validateAnalysisParams(params) {
     const {
-      image_path,
       prompt,
-      provider = 'openrouter',
+      provider,
       model
     } = params;
 
-    if (!image_path) {
-      throw new Error('image_path is required');
-    }
+    const image = this.validateImageSource(params);
 
     if (!prompt) {
-      throw new Error('prompt is required');
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'prompt is required', { argument: 'prompt' });
     }
 
-    // Validate provider
-    const validatedProvider = this.validateProvider(provider);
+    // Validate provider if provided (auto-detected otherwise)
+    const validatedProvider = provider ? this.validateProvider(provider) : null;
     
     // Validate model if provided
     const validatedModel = model ? this.validateModel(model) : null;
 
     return {
-      image_path: this.validateImagePath(image_path),
+      image,
       prompt: this.validatePrompt(prompt),
       provider: validatedProvider,
       model: validatedModel
     };
   }
 
+  /**
+   * Validate comparison input parameters
+   * @param {Object} params - Input parameters ({ image_paths, labels, prompt, provider, model })
+   * @returns {Object} - Validated and sanitized parameters
+   * @throws {ToolError} - If validation fails
+   */
+  validateComparisonParams(params) {
+    const { image_paths, labels, prompt, provider, model } = params;
+
+    if (!Array.isArray(image_paths) || image_paths.length < 2) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'image_paths must list at least 2 images', { argument: 'image_paths' });
+    }
+
+    if (image_paths.length > this.maxCompareImages) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Too many images: ${image_paths.length} (max: ${this.maxCompareImages})`, { argument: 'image_paths' });
+    }
+
+    if (labels !== undefined && (!Array.isArray(labels) || labels.length !== image_paths.length)) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'labels must have one entry per image', { argument: 'labels' });
+    }
+
+    if (!prompt) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'prompt is required', { argument: 'prompt' });
+    }
+
+    return {
+      image_paths: image_paths.map(imagePath => this.validateImagePath(imagePath)),
+      labels: labels ? labels.map(label => String(label).trim()) : null,
+      prompt: this.validatePrompt(prompt),
+      provider: provider ? this.validateProvider(provider) : null,
+      model: model ? this.validateModel(model) : null
+    };
+  }
+
+  /**
+   * Validate the parameters shared by single-image tools without a prompt (extract_text, detect_objects)
+   * @param {Object} params - Input parameters ({ image_path | image_url | image_base64, provider, model })
+   * @returns {Object} - Validated and sanitized parameters
+   * @throws {ToolError} - If validation fails
+   */
+  validateImageParams(params) {
+    const { provider, model } = params;
+
+    return {
+      image: this.validateImageSource(params),
+      provider: provider ? this.validateProvider(provider) : null,
+      model: model ? this.validateModel(model) : null
+    };
+  }
+
+  /**
+   * Validate pixel diff input parameters
+   * @param {Object} params - Input parameters ({ before_path, after_path, overlay_path, threshold, explain, prompt })
+   * @returns {Object} - Validated and sanitized parameters
+   * @throws {ToolError} - If validation fails
+   */
+  validateDiffParams(params) {
+    const { before_path, after_path, overlay_path, threshold, explain, prompt } = params;
+
+    if (!before_path || !after_path) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'before_path and after_path are required', { argument: before_path ? 'after_path' : 'before_path' });
+    }
+
+    return {
+      before_path: this.validateImagePath(before_path),
+      after_path: this.validateImagePath(after_path),
+      overlay_path: overlay_path ? this.validateOutputImagePath(overlay_path, 'overlay_path') : null,
+      threshold,
+      // A custom prompt only makes sense with an explanation
+      explain: Boolean(explain || prompt)
+    };
+  }
+
+  /**
+   * Validate batch analysis input parameters
+   * @param {Object} params - Input parameters ({ path, prompt, provider, model, output, output_path })
+   * @returns {Object} - Validated and sanitized parameters, with output defaulting to 'table'
+   * @throws {ToolError} - If validation fails
+   */
+  validateBatchParams(params) {
+    const { path: pattern, prompt, provider, model, output = 'table', output_path } = params;
+
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'path must be a directory or glob pattern', { argument: 'path' });
+    }
+
+    if (!prompt) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'prompt is required', { argument: 'prompt' });
+    }
+
+    if (output_path && output === 'table') {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'output_path needs output "json" or "csv"', { argument: 'output_path' });
+    }
+
+    return {
+      pattern: pattern.trim(),
+      prompt: this.validatePrompt(prompt),
+      provider: provider ? this.validateProvider(provider) : null,
+      model: model ? this.validateModel(model) : null,
+      output,
+      output_path: output_path ? this.validateOutputPath(output_path, 'output_path', `.${output}`) : null
+    };
+  }
+
+  /**
+   * Validate a directory that will be listed
+   * @param {string} directory - Directory path
+   * @param {string} argument - Argument name used in error messages
+   * @returns {string} - Resolved path, with symlinks resolved when a sandbox is set
+   * @throws {ToolError} - ACCESS_DENIED if it is outside the sandbox, IMAGE_NOT_FOUND if it is not a directory
+   */
+  validateDirectory(directory, argument) {
+    const resolvedPath = path.resolve(directory);
+    const checkedPath = this.sandbox ? this.sandbox.check(resolvedPath, argument) : resolvedPath;
+    if (!fs.existsSync(resolvedPath) || !fs.statSync(resolvedPath).isDirectory()) {
+      throw new ToolError(ErrorCodes.IMAGE_NOT_FOUND, `Directory not found: ${resolvedPath}`, { argument, path: resolvedPath });
+    }
+    return checkedPath;
+  }
+
+  /**
+   * Validate the path a generated PNG image will be written to
+   * @param {string} outputPath - Output path
+   * @param {string} argument - Argument name used in error messages
+   * @returns {string} - Resolved path, with symlinks resolved when a sandbox is set
+   * @throws {ToolError} - INVALID_ARGUMENTS if the path is not a .png in an existing directory, ACCESS_DENIED if it is outside the sandbox
+   */
+  validateOutputImagePath(outputPath, argument) {
+    return this.validateOutputPath(outputPath, argument, '.png');
+  }
+
+  /**
+   * Validate the path a generated file will be written to
+   * @param {string} outputPath - Output path
+   * @param {string} argument - Argument name used in error messages
+   * @param {string} extension - Required extension, e.g. '.png'
+   * @returns {string} - Resolved path, with symlinks resolved when a sandbox is set
+   * @throws {ToolError} - INVALID_ARGUMENTS if the path has another extension or its directory does not exist, ACCESS_DENIED if it is outside the sandbox
+   */
+  validateOutputPath(outputPath, argument, extension) {
+    const resolvedPath = path.resolve(outputPath);
+    if (path.extname(resolvedPath).toLowerCase() !== extension) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `${argument} must end in ${extension}`, { argument });
+    }
+    const checkedPath = this.sandbox ? this.sandbox.check(resolvedPath, argument) : resolvedPath;
+    if (!fs.existsSync(path.dirname(resolvedPath))) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Directory does not exist: ${path.dirname(resolvedPath)}`, { argument });
+    }
+    return checkedPath;
+  }
+
   /**
    * Validate provider parameter
    * @param {string} provider - AI provider name
@@ -56,10 +215,8 @@ class ValidationUtils {
    * @throws {Error} - If validation fails
    */
   validateProvider(provider) {
-    const validProviders = ['openrouter', 'gemini'];
-
-    if (!validProviders.includes(provider)) {
-      throw new Error(`Invalid provider: ${provider}. Valid providers: ${validProviders.join(', ')}`);
+    if (!this.validProviders.includes(provider)) {
+      throw new ToolError(ErrorCodes.INVALID_PROVIDER, `Invalid provider: ${provider}. Valid providers: ${this.validProviders.join(', ')}`);
     }
 
     return provider;
@@ -73,17 +230,17 @@ class ValidationUtils {
    */
   validateModel(model) {
     if (typeof model !== 'string') {
-      throw new Error('model must be a string');
+      throw new ToolError(ErrorCodes.INVALID_MODEL, 'model must be a string');
     }
 
     const trimmedModel = model.trim();
     
     if (trimmedModel.length === 0) {
-      throw new Error('model cannot be empty');
+      throw new ToolError(ErrorCodes.INVALID_MODEL, 'model cannot be empty');
     }
 
     if (trimmedModel.length > 100) {
-      throw new Error('model name too long (maximum 100 characters)');
+      throw new ToolError(ErrorCodes.INVALID_MODEL, 'model name too long (maximum 100 characters)');
     }
 
     // Basic validation for common model patterns
@@ -91,59 +248,166 @@ class ValidationUtils {
       /^gemini-[\w.-]+$/,
       /^[\w.-]+\/[\w.-]+$/,
       /^[\w.-]+$/,
-      /^[\w.-]+\/[\w.-]+:[\w.-]+$/
+      /^[\w.-]+\/[\w.-]+:[\w.-]+$/,
+      /^[\w.-]+:[\w.-]+$/
     ];
 
     const isValidPattern = validPatterns.some(pattern => pattern.test(trimmedModel));
     
     if (!isValidPattern) {
-      throw new Error(`Invalid model format: ${trimmedModel}. Expected formats like "gemini-1.5-flash", "openai/gpt-4-vision-preview", or "x-ai/grok-4-fast:free"`);
+      throw new ToolError(ErrorCodes.INVALID_MODEL, `Invalid model format: ${trimmedModel}. Expected formats like "gemini-1.5-flash", "gpt-4o", "openai/gpt-4-vision-preview", "llava:13b", or "x-ai/grok-4-fast:free"`);
     }
 
     return trimmedModel;
   }
 
+  /**
+   * Validate the image source of a single-image tool: exactly one of image_path, image_url or image_base64
+   * @param {Object} params - Input parameters
+   * @returns {Object} - Source as { type: 'path', path }, { type: 'url', url } or { type: 'base64', buffer, mimeType }
+   * @throws {ToolError} - If no source or more than one is given, or the source is invalid
+   */
+  validateImageSource(params) {
+    const given = this.imageSourceArguments.filter(argument => params[argument] !== undefined);
+
+    if (given.length === 0) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'One of image_path, image_url or image_base64 is required', { argument: 'image_path' });
+    }
+
+    if (given.length > 1) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Only one image source may be given, got ${given.join(' and ')}`, { argument: given[1] });
+    }
+
+    if (given[0] === 'image_url') {
+      return { type: 'url', url: this.validateImageUrl(params.image_url) };
+    }
+    if (given[0] === 'image_base64') {
+      return { type: 'base64', ...this.validateImageBase64(params.image_base64) };
+    }
+    return { type: 'path', path: this.validateImagePath(params.image_path) };
+  }
+
+  /**
+   * Validate an image URL
+   * @param {string} imageUrl - URL to download the image from
+   * @returns {string} - Normalized URL
+   * @throws {ToolError} - INVALID_ARGUMENTS if the URL is malformed or not http(s)
+   */
+  validateImageUrl(imageUrl) {
+    if (typeof imageUrl !== 'string' || !imageUrl.trim()) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'image_url cannot be empty', { argument: 'image_url' });
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(imageUrl.trim());
+    } catch (error) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Invalid image_url: ${imageUrl}`, { argument: 'image_url' });
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `image_url must use http or https, got ${parsed.protocol}`, { argument: 'image_url' });
+    }
+
+    return parsed.href;
+  }
+
+  /**
+   * Validate and decode base64 image data, given raw or as a data URI
+   * @param {string} data - Base64 data or data:image/...;base64,... URI
+   * @returns {Object} - { buffer, mimeType } where mimeType is null for raw base64
+   * @throws {ToolError} - If the data is malformed, too large or declares a non-image type
+   */
+  validateImageBase64(data) {
+    if (typeof data !== 'string' || !data.trim()) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'image_base64 cannot be empty', { argument: 'image_base64' });
+    }
+
+    let encoded = data.trim();
+    let mimeType = null;
+    if (/^data:/i.test(encoded)) {
+      const match = /^data:([^;,]*)((?:;[^;,]*)*),/i.exec(encoded);
+      if (!match || !match[2].split(';').some(param => param.toLowerCase() === 'base64')) {
+        throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'image_base64 data URIs must be base64 encoded (data:image/png;base64,...)', { argument: 'image_base64' });
+      }
+      mimeType = this.validateImageContentType(match[1], 'image_base64');
+      encoded = encoded.slice(match[0].length);
+    }
+
+    encoded = encoded.replace(/\s+/g, '');
+    // Standard and URL-safe alphabets are both accepted by Buffer
+    if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(encoded)) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'image_base64 is not valid base64', { argument: 'image_base64' });
+    }
+
+    // Check the decoded size before allocating it
+    const size = Math.floor(encoded.length * 3 / 4);
+    if (size > this.maxFileSize) {
+      throw new ToolError(ErrorCodes.IMAGE_TOO_LARGE, `Image data too large: ${size} bytes (max: ${this.maxFileSize} bytes)`, { size, maxSize: this.maxFileSize });
+    }
+
+    return { buffer: Buffer.from(encoded, 'base64'), mimeType };
+  }
+
+  /**
+   * Validate a declared image content type (HTTP Content-Type or data URI media type)
+   * @param {string} contentType - Content type, parameters allowed
+   * @param {string} argument - Argument name used in error messages
+   * @returns {string} - Lower-case media type
+   * @throws {ToolError} - UNSUPPORTED_FORMAT if it is not a supported image type
+   */
+  validateImageContentType(contentType, argument) {
+    const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (!this.supportedMimeTypes.includes(mimeType)) {
+      throw new ToolError(ErrorCodes.UNSUPPORTED_FORMAT, `Unsupported content type for ${argument}: ${mimeType || '(none)'}. Supported types: ${this.supportedMimeTypes.join(', ')}`, { argument });
+    }
+    return mimeType;
+  }
+
   /**
    * Validate image path and file
    * @param {string} imagePath - Image file path
-   * @returns {string} - Validated image path
+   * @returns {string} - Validated image path, with symlinks resolved when a sandbox is set
    * @throws {Error} - If validation fails
    */
   validateImagePath(imagePath) {
     if (typeof imagePath !== 'string') {
-      throw new Error('image_path must be a string');
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'image_path must be a string', { argument: 'image_path' });
     }
 
     // Check if path is empty
     if (!imagePath.trim()) {
-      throw new Error('image_path cannot be empty');
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, 'image_path cannot be empty', { argument: 'image_path' });
     }
 
     // Resolve path and check if it exists
     const resolvedPath = path.resolve(imagePath);
+
+    // Check the sandbox first so files outside it can't be probed through the other errors
+    const checkedPath = this.sandbox ? this.sandbox.check(resolvedPath, 'image_path') : resolvedPath;
     
     if (!fs.existsSync(resolvedPath)) {
-      throw new Error(`Image file not found: ${resolvedPath}`);
+      throw new ToolError(ErrorCodes.IMAGE_NOT_FOUND, `Image file not found: ${resolvedPath}`, { path: resolvedPath });
     }
 
     // Check if it's a file (not a directory)
     const stats = fs.statSync(resolvedPath);
     if (!stats.isFile()) {
-      throw new Error(`Path is not a file: ${resolvedPath}`);
+      throw new ToolError(ErrorCodes.IMAGE_NOT_FOUND, `Path is not a file: ${resolvedPath}`, { path: resolvedPath });
     }
 
     // Check file size
     if (stats.size > this.maxFileSize) {
-      throw new Error(`Image file too large: ${stats.size} bytes (max: ${this.maxFileSize} bytes)`);
+      throw new ToolError(ErrorCodes.IMAGE_TOO_LARGE, `Image file too large: ${stats.size} bytes (max: ${this.maxFileSize} bytes)`, { size: stats.size, maxSize: this.maxFileSize });
     }
 
     // Check file extension
     const ext = path.extname(resolvedPath).toLowerCase();
     if (!this.supportedImageFormats.includes(ext)) {
-      throw new Error(`Unsupported image format: ${ext}. Supported formats: ${this.supportedImageFormats.join(', ')}`);
+      throw new ToolError(ErrorCodes.UNSUPPORTED_FORMAT, `Unsupported image format: ${ext}. Supported formats: ${this.supportedImageFormats.join(', ')}`);
     }
 
-    return resolvedPath;
+    return checkedPath;
   }
 
   /**
@@ -154,17 +418,17 @@ class ValidationUtils {
    */
   validatePrompt(prompt) {
     if (typeof prompt !== 'string') {
-      throw new Error('prompt must be a string');
+      throw new ToolError(ErrorCodes.INVALID_PROMPT, 'prompt must be a string');
     }
 
     const trimmedPrompt = prompt.trim();
 
     if (trimmedPrompt.length < this.minPromptLength) {
-      throw new Error(`prompt too short (minimum ${this.minPromptLength} characters)`);
+      throw new ToolError(ErrorCodes.INVALID_PROMPT, `prompt too short (minimum ${this.minPromptLength} characters)`);
     }
 
     if (trimmedPrompt.length > this.maxPromptLength) {
-      throw new Error(`prompt too long (maximum ${this.maxPromptLength} characters)`);
+      throw new ToolError(ErrorCodes.INVALID_PROMPT, `prompt too long (maximum ${this.maxPromptLength} characters)`);
     }
 
     // Check for potentially harmful content
@@ -176,7 +440,7 @@ class ValidationUtils {
 
     for (const pattern of harmfulPatterns) {
       if (pattern.test(trimmedPrompt)) {
-        throw new Error('prompt contains potentially harmful content');
+        throw new ToolError(ErrorCodes.INVALID_PROMPT, 'prompt contains potentially harmful content');
       }
     }
 
@@ -184,41 +448,180 @@ class ValidationUtils {
   }
 
   /**
-   * Validate image buffer
+   * Validate tool arguments against the tool's declared JSON Schema
+   * @param {Object} args - Tool arguments
+   * @param {Object} schema - Tool inputSchema
+   * @returns {Object} - The arguments
+   * @throws {ToolError} - INVALID_ARGUMENTS if an argument does not match the schema
+   */
+  validateToolArguments(args, schema) {
+    if (args === undefined || args === null) {
+      args = {};
+    }
+
+    const errors = this.validateSchema(args, schema, 'arguments');
+    if (errors.length > 0) {
+      throw new ToolError(ErrorCodes.INVALID_ARGUMENTS, `Invalid arguments: ${errors.join('; ')}`, { errors });
+    }
+
+    return args;
+  }
+
+  /**
+   * Check a value against the JSON Schema subset used by the tool definitions
+   * (type, enum, required, properties, additionalProperties, items, oneOf, anyOf, numeric and length bounds).
+   * Other keywords are ignored.
+   * @param {*} value - Value to check
+   * @param {Object} schema - JSON Schema
+   * @param {string} location - Path of the value, used in error messages
+   * @returns {string[]} - Error messages (empty if valid)
+   */
+  validateSchema(value, schema, location) {
+    const errors = [];
+
+    if (schema.oneOf) {
+      const results = schema.oneOf.map(option => this.validateSchema(value, option, location));
+      const matching = results.filter(result => result.length === 0).length;
+      if (matching === 0) {
+        // Report the errors of the form whose type matches, as those are the most useful
+        const typeErrors = `${location} must be of type`;
+        const closest = results.find(result => !result.some(message => message.startsWith(typeErrors)));
+        errors.push(...(closest || [`${location} must match one of the allowed forms`]));
+      } else if (matching > 1) {
+        errors.push(`${location} must match exactly one of the allowed forms`);
+      }
+      return errors;
+    }
+
+    if (schema.anyOf) {
+      const results = schema.anyOf.map(option => this.validateSchema(value, option, location));
+      if (!results.some(result => result.length === 0)) {
+        errors.push(`${location} must match at least one of the allowed forms`);
+      }
+      return errors;
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+      const matchesType = types.some(type => {
+        if (type === 'integer') {
+          return Number.isInteger(value);
+        }
+        if (type === 'number') {
+          return actual === 'number' && Number.isFinite(value);
+        }
+        return type === actual;
+      });
+      if (!matchesType) {
+        errors.push(`${location} must be of type ${types.join(' or ')}`);
+        return errors;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${location} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${location} must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${location} must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${location} must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${location} must be at most ${schema.maxLength} characters`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${location} must contain at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${location} must contain at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...this.validateSchema(item, schema.items, `${location}[${index}]`));
+        });
+      }
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const properties = schema.properties || {};
+
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${location}.${key} is required`);
+        }
+      }
+
+      for (const [key, propertyValue] of Object.entries(value)) {
+        if (propertyValue === undefined) {
+          continue;
+        }
+        if (properties[key]) {
+          errors.push(...this.validateSchema(propertyValue, properties[key], `${location}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${location}.${key} is not an allowed property`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          errors.push(...this.validateSchema(propertyValue, schema.additionalProperties, `${location}.${key}`));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate image buffer and detect its format from magic bytes
    * @param {Buffer} buffer - Image buffer
-   * @returns {boolean} - True if valid
+   * @returns {string|null} - Detected format ('jpeg', 'png', 'webp', 'gif', 'bmp', 'tiff'), or null if invalid
    */
   validateImageBuffer(buffer) {
     if (!Buffer.isBuffer(buffer)) {
-      return false;
+      return null;
     }
 
     if (buffer.length === 0) {
-      return false;
+      return null;
     }
 
     if (buffer.length > this.maxFileSize) {
-      return false;
+      return null;
     }
 
-    // Basic image format validation by checking magic numbers
+    // Basic image format validation by checking magic numbers (null entries match any byte)
     const signatures = {
       'jpeg': [0xFF, 0xD8, 0xFF],
-      'png': [0x89, 0x50, 0x4E, 0x47],
-      'webp': [0x52, 0x49, 0x46, 0x46],
-      'bmp': [0x42, 0x4D]
+      'png': [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+      'webp': [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+      'gif': [0x47, 0x49, 0x46, 0x38],
+      'bmp': [0x42, 0x4D],
+      'tiff': [[0x49, 0x49, 0x2A, 0x00], [0x4D, 0x4D, 0x00, 0x2A]]
     };
 
     for (const [format, signature] of Object.entries(signatures)) {
-      if (buffer.length >= signature.length) {
-        const matches = signature.every((byte, index) => buffer[index] === byte);
-        if (matches) {
-          return true;
+      const variants = Array.isArray(signature[0]) ? signature : [signature];
+      for (const variant of variants) {
+        if (buffer.length >= variant.length) {
+          const matches = variant.every((byte, index) => byte === null || buffer[index] === byte);
+          if (matches) {
+            return format;
+          }
         }
       }
     }
 
-    return false;
+    return null;
   }
 }
 